@@ -0,0 +1,65 @@
+// @flow
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import {launchBrowser} from './utils/browser.js';
+
+/**
+ * Open a headed browser for a manual login and save the session
+ *
+ * The user logs in, then presses Enter in the terminal. The resulting
+ * storageState (cookies + localStorage) is written to `authPath`.
+ */
+export async function captureAuthState(url, options = {}) {
+  const {authPath, contextOptions = {}, onWaiting} = options;
+
+  const browser = await launchBrowser(options.browser, {headless: false});
+
+  try {
+    const context = await browser.newContext(contextOptions);
+    const page = await context.newPage();
+
+    try {
+      await page.goto(url, {timeout: options.timeout || 30000});
+    } catch {
+      // Slow or redirecting login pages are fine, the user takes over
+    }
+
+    onWaiting?.();
+    const closed = await waitForLogin(page);
+
+    if (closed && !browser.isConnected()) {
+      throw new Error(
+        'Browser closed before the session was saved. Press Enter in the terminal once logged in instead of closing the window.',
+      );
+    }
+
+    await fs.ensureDir(path.dirname(authPath));
+    await context.storageState({path: authPath});
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Wait for Enter on stdin or for the login page to be closed
+ *
+ * Resolves to true if the page was closed.
+ */
+function waitForLogin(page) {
+  return new Promise(resolve => {
+    const rl = process.stdin.isTTY
+      ? readline.createInterface({input: process.stdin})
+      : null;
+
+    const done = closed => {
+      rl?.close();
+      page.off('close', onClose);
+      resolve(closed);
+    };
+    const onClose = () => done(true);
+
+    rl?.once('line', () => done(false));
+    page.once('close', onClose);
+  });
+}
@@ -0,0 +1,75 @@
+// @flow
+import crypto from 'crypto';
+
+/**
+ * Create an empty cache structure
+ */
+export function createCache() {
+  return {
+    etags: {},
+    lastModified: {},
+    contentTypes: {},
+    hashes: {},
+    links: {},
+  };
+}
+
+/**
+ * Hash content so unchanged files can be detected without validators
+ */
+export function hashContent(body) {
+  return crypto.createHash('sha1').update(body).digest('hex');
+}
+
+/**
+ * Record ETag, Last-Modified, content type and content hash for a URL
+ */
+export function recordValidators(cache, url, {headers = {}, body} = {}) {
+  if (headers.etag) {
+    cache.etags[url] = headers.etag;
+  }
+  if (headers['last-modified']) {
+    cache.lastModified[url] = headers['last-modified'];
+  }
+  if (headers['content-type']) {
+    cache.contentTypes[url] = headers['content-type'];
+  }
+  if (body !== undefined && body !== null) {
+    cache.hashes[url] = hashContent(body);
+  }
+}
+
+/**
+ * Build If-None-Match / If-Modified-Since headers for a cached URL
+ */
+export function getConditionalHeaders(cache, url) {
+  const headers = {};
+
+  if (cache.etags[url]) {
+    headers['If-None-Match'] = cache.etags[url];
+  }
+  if (cache.lastModified[url]) {
+    headers['If-Modified-Since'] = cache.lastModified[url];
+  }
+
+  return headers;
+}
+
+/**
+ * Check whether a freshly fetched response matches what is in the cache
+ */
+export function isUnchanged(cache, url, {headers = {}, body} = {}) {
+  if (headers.etag && cache.etags[url]) {
+    return headers.etag === cache.etags[url];
+  }
+
+  if (headers['last-modified'] && cache.lastModified[url]) {
+    return headers['last-modified'] === cache.lastModified[url];
+  }
+
+  if (body !== undefined && body !== null && cache.hashes[url]) {
+    return hashContent(body) === cache.hashes[url];
+  }
+
+  return false;
+}
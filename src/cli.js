@@ -2,9 +2,17 @@
 import {Command} from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import {Crawler} from './crawler.js';
-import {readManifest, manifestExists} from './manifest.js';
+import {Crawler, parsePriorityPatterns} from './crawler.js';
+import {
+  readManifest,
+  readCrawlState,
+  manifestExists,
+  getCaptureOptions,
+  getFailedPages,
+} from './manifest.js';
 import {version} from './utils/version.js';
+import {loadProjectConfig} from './config.js';
+import {readUrlList} from './url-list.js';
 import {
   showHelp,
   runInteractiveCapture,
@@ -53,18 +61,30 @@ export function run() {
     .description(
       'Modern website copier powered by Playwright - capture JS-rendered pages for offline viewing',
     )
-    .version(version);
+    .version(version)
+    // Let subcommands own options that share names with capture options
+    .enablePositionalOptions();
 
   // Main capture command
   program
-    .argument('[url]', 'URL to capture')
+    .argument('[urls...]', 'URL(s) to capture, - reads a URL list from stdin')
     .option(
       '-o, --output <dir>',
       'Output directory (default: ~/.smippo/sites/[domain])',
     )
     .option('-d, --depth <n>', 'Recursion depth (0 = single page)', '0')
+    .option(
+      '--urls-file <path>',
+      'Capture the URLs listed in a file (one per line or CSV url,depth)',
+    )
     .option('--no-crawl', 'Disable link following (same as -d 0)')
     .option('--dry-run', 'Show what would be captured without downloading')
+    .option('--json', 'Print the --dry-run plan as JSON')
+    .option(
+      '--config <file>',
+      'Config file (default: smippo.config.js, .smippo.json or .smippo.yaml)',
+    )
+    .option('--profile <name>', 'Use a named profile from the config file')
 
     // Scope options
     .option(
@@ -74,6 +94,12 @@ export function run() {
     )
     .option('--stay-in-dir', 'Only follow links in same directory or subdirs')
     .option('--external-assets', 'Capture assets from external domains')
+    .option('--sitemap', 'Seed the crawl with URLs from the site sitemaps')
+    .option(
+      '--sitemap-url <url>',
+      'Sitemap to read instead of those listed in robots.txt (repeatable)',
+      collect,
+    )
 
     // Filter options
     .option('-I, --include <glob...>', 'Include URLs matching pattern')
@@ -84,6 +110,20 @@ export function run() {
     .option('--min-size <size>', 'Minimum file size (e.g., 1KB)')
 
     // Browser options
+    .option(
+      '--browser <engine>',
+      'Browser engine: chromium|firefox|webkit',
+      'chromium',
+    )
+    .option(
+      '--connect <wsEndpoint>',
+      'Attach to a running Playwright browser server',
+    )
+    .option('--cdp <url>', 'Attach to a running Chromium over CDP')
+    .option(
+      '--user-data-dir <dir>',
+      'Launch with a persistent browser profile (keeps its logins)',
+    )
     .option(
       '--wait <strategy>',
       'Wait strategy: networkidle|load|domcontentloaded',
@@ -95,6 +135,15 @@ export function run() {
       '500',
     )
     .option('--timeout <ms>', 'Page load timeout', '30000')
+    .option(
+      '--spa',
+      'Discover single-page app routes by clicking script navigation',
+    )
+    .option(
+      '--spa-clicks <n>',
+      'Navigation elements to click per page with --spa',
+      '50',
+    )
 
     // Scroll and reveal options (for capturing dynamic content)
     .option(
@@ -144,6 +193,10 @@ export function run() {
     .option('--cookies <file>', 'Load cookies from JSON file')
     .option('--headers <json>', 'Custom headers as JSON')
     .option('--capture-auth', 'Interactive authentication capture')
+    .option(
+      '--login <recipe>',
+      'Log in with a scripted recipe (.json or .yaml) before crawling',
+    )
 
     // Output options
     .option(
@@ -153,10 +206,25 @@ export function run() {
     )
     .option('--har', 'Generate HAR file', true)
     .option('--no-har', 'Disable HAR file generation')
+    .option('--warc', 'Write a WARC archive of all responses')
+    .option('--wacz', 'Package the WARC archive as WACZ (implies --warc)')
     .option('--screenshot', 'Take screenshot of each page')
     .option('--pdf', 'Save PDF of each page')
     .option('--static', 'Remove scripts for static offline viewing')
+    .option(
+      '--replay-api',
+      'Record XHR/fetch responses and replay them in smippo serve',
+    )
     .option('--inline-css', 'Inline CSS into HTML for single-file output')
+    .option(
+      '--single-file',
+      'Inline CSS, JS, images and fonts so each page is one HTML file',
+    )
+    .option(
+      '--max-inline-size <size>',
+      'Keep files larger than this external in single-file mode',
+      '5MB',
+    )
     .option(
       '--keep-analytics',
       'Keep analytics/tracking scripts (stripped by default)',
@@ -166,8 +234,32 @@ export function run() {
     .option('-w, --workers <n>', 'Parallel workers/pages (default: 8)', '8')
     .option('-c, --concurrency <n>', 'Alias for --workers', '8')
     .option('--max-pages <n>', 'Maximum pages to capture')
+    .option('--order <strategy>', 'Crawl order: bfs|dfs|priority', 'bfs')
+    .option(
+      '--priority <pattern>',
+      'URL pattern to capture first with --order priority (pattern[=weight], repeatable)',
+      collect,
+    )
     .option('--max-time <seconds>', 'Maximum total time')
-    .option('--rate-limit <ms>', 'Delay between requests')
+    .option(
+      '--rate-limit <ms>',
+      'Minimum delay between requests to the same host',
+    )
+    .option(
+      '--host-concurrency <n>',
+      'Parallel pages per host (default: same as --workers)',
+    )
+    .option('--retries <n>', 'Retries for failed pages and resources', '2')
+    .option(
+      '--retry-backoff <ms>',
+      'Initial retry delay, doubled on each attempt',
+      '1000',
+    )
+    .option(
+      '--retry-on <statuses>',
+      'HTTP statuses to retry (comma-separated)',
+      '429,502,503,504',
+    )
 
     // Robots options
     .option('--ignore-robots', 'Ignore robots.txt')
@@ -175,6 +267,18 @@ export function run() {
 
     // Cache options
     .option('--no-cache', "Don't use cache")
+    .option(
+      '--checkpoint-interval <seconds>',
+      'Save crawl progress for `smippo continue` every N seconds (0 = off)',
+      '30',
+    )
+
+    // Plugin options
+    .option(
+      '--plugin <module>',
+      'Load a capture plugin (path or package name, repeatable)',
+      collect,
+    )
 
     // Logging options
     .option('-v, --verbose', 'Verbose output')
@@ -186,14 +290,26 @@ export function run() {
     .option('--no-interaction', 'Non-interactive mode (for CI/scripts)')
     .option('-y, --yes', 'Skip prompts, use defaults')
 
-    .action(async (url, options) => {
-      if (!url) {
-        showHelp();
-        return;
-      }
-
+    .action(async (urls, options, command) => {
       try {
-        await capture(url, options);
+        const config = await loadProjectConfig({
+          file: options.config,
+          profile: options.profile,
+        });
+        if (config) {
+          options = applyConfig(command, options, config, {
+            extraKeys: ['url', 'urls', 'overrides'],
+            strict: true,
+          });
+        }
+
+        const seeds = await getSeeds(urls, options);
+        if (seeds.length === 0) {
+          showHelp();
+          return;
+        }
+
+        await capture(seeds[0].url, {...options, seeds, projectConfig: config});
       } catch (error) {
         console.error(chalk.red(`\n✗ Error: ${error.message}`));
         if (options.verbose || options.debug) {
@@ -233,6 +349,20 @@ export function run() {
       }
     });
 
+  // Retry command
+  program
+    .command('retry [directory]')
+    .description('Re-capture pages that failed in an existing capture')
+    .option('-v, --verbose', 'Verbose output')
+    .action(async (directory, options) => {
+      try {
+        await retryCapture(directory || './site', options);
+      } catch (error) {
+        console.error(chalk.red(`\n✗ Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // Serve command
   program
     .command('serve [directory]')
@@ -245,6 +375,19 @@ export function run() {
     .option('-H, --host <host>', 'Host to bind to', '127.0.0.1')
     .option('-o, --open', 'Open browser automatically')
     .option('--no-cors', 'Disable CORS headers')
+    .option(
+      '--replay [har]',
+      'Answer original URLs from the HAR file (default: .smippo/network.har)',
+    )
+    .option(
+      '--proxy',
+      'Act as a forward proxy serving the captured URLs over http:// (https:// pages cannot be served)',
+    )
+    .option(
+      '--proxy-miss <policy>',
+      'Proxy answer for URLs not captured: 404|passthrough|placeholder',
+      '404',
+    )
     .option('-v, --verbose', 'Show all requests')
     .option('-q, --quiet', 'Minimal output')
     .action(async (directory, options) => {
@@ -260,11 +403,82 @@ export function run() {
         host: options.host,
         open: options.open,
         cors: options.cors,
+        replay: options.replay,
+        proxy: options.proxy,
+        proxyMiss: options.proxyMiss,
         verbose: options.verbose,
         quiet: options.quiet,
       });
     });
 
+  // Export command - convert an existing capture to archive formats
+  program
+    .command('export <format> [directory]')
+    .description(
+      'Export a capture to an archive format (warc) or an offline bundle (offline)',
+    )
+    .option(
+      '-O, --out <path>',
+      'Output file or directory (default: .smippo/archive.warc.gz, <dir>-offline)',
+    )
+    .option('--wacz', 'Also package the WARC as WACZ')
+    .option(
+      '--no-gzip',
+      'Write an uncompressed WARC file (.warc, not .warc.gz)',
+    )
+    .action(async (format, directory, options) => {
+      try {
+        if (format !== 'warc' && format !== 'offline') {
+          throw new Error(
+            `Unknown export format: ${format} (supported: warc, offline)`,
+          );
+        }
+
+        const outputDir = directory || './site';
+
+        if (!manifestExists(outputDir)) {
+          throw new Error(`No capture found in ${outputDir}`);
+        }
+
+        if (format === 'offline') {
+          const {exportOffline} = await import('./offline.js');
+          const spinner = ora('Building offline bundle...').start();
+          const result = await exportOffline(outputDir, {output: options.out});
+
+          spinner.succeed(
+            chalk.green(`Bundled ${result.files} files for offline use`),
+          );
+          console.log(`  Bundle: ${chalk.underline(result.bundleDir)}`);
+          console.log(
+            chalk.dim(
+              '  Host it over HTTP(S) at any path, pages work offline after the first visit',
+            ),
+          );
+          return;
+        }
+
+        const {exportWarc} = await import('./warc.js');
+
+        const spinner = ora('Exporting WARC...').start();
+        const result = await exportWarc(outputDir, {
+          output: options.out,
+          gzip: options.gzip,
+          wacz: options.wacz,
+        });
+
+        spinner.succeed(
+          chalk.green(`Exported ${result.records} responses to WARC`),
+        );
+        console.log(`  WARC: ${chalk.underline(result.warcPath)}`);
+        if (result.waczPath) {
+          console.log(`  WACZ: ${chalk.underline(result.waczPath)}`);
+        }
+      } catch (error) {
+        console.error(chalk.red(`\n✗ Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
   // Delete command - remove captured sites
   program
     .command('delete')
@@ -290,6 +504,20 @@ export function run() {
     .option('--quality <n>', 'JPEG quality (1-100)', '80')
     .option('--viewport <WxH>', 'Viewport size', '1920x1080')
     .option('--device <name>', 'Emulate device (e.g., "iPhone 13", "iPad Pro")')
+    .option(
+      '--browser <engine>',
+      'Browser engine: chromium|firefox|webkit',
+      'chromium',
+    )
+    .option(
+      '--connect <wsEndpoint>',
+      'Attach to a running Playwright browser server',
+    )
+    .option('--cdp <url>', 'Attach to a running Chromium over CDP')
+    .option(
+      '--user-data-dir <dir>',
+      'Launch with a persistent browser profile (keeps its logins)',
+    )
     .option('--selector <css>', 'Capture specific element by CSS selector')
     .option(
       '--wait <strategy>',
@@ -300,10 +528,20 @@ export function run() {
     .option('--timeout <ms>', 'Page load timeout', '30000')
     .option('--dark-mode', 'Use dark color scheme')
     .option('--no-background', 'Transparent background (PNG only)')
+    .option('--config <file>', 'Read shared options from a config file')
+    .option('--profile <name>', 'Use a named profile from the config file')
     .option('-v, --verbose', 'Verbose output')
     .option('-q, --quiet', 'Minimal output')
-    .action(async (url, options) => {
+    .action(async (url, options, command) => {
       try {
+        const config = await loadProjectConfig({
+          file: options.config,
+          profile: options.profile,
+        });
+        if (config) {
+          options = applyConfig(command, options, config);
+        }
+
         const {captureScreenshot, parseViewport} =
           await import('./screenshot.js');
         await captureScreenshot(url, {
@@ -313,6 +551,10 @@ export function run() {
           quality: options.quality ? parseInt(options.quality, 10) : undefined,
           viewport: parseViewport(options.viewport),
           device: options.device,
+          browser: options.browser,
+          connect: options.connect,
+          cdp: options.cdp,
+          userDataDir: options.userDataDir,
           selector: options.selector,
           wait: options.wait,
           waitTime: parseInt(options.waitTime, 10),
@@ -343,26 +585,22 @@ export function run() {
 }
 
 async function capture(url, options) {
-  // Compute output directory based on URL domain if not specified
-  let outputDir = options.output;
-  if (!outputDir) {
-    const domain = getDomainFromUrl(url);
-    outputDir = getSiteDir(domain);
-    await ensureSmippoHome();
-  }
-
-  const spinner = ora({
-    text: 'Initializing browser...',
-    isSilent: options.quiet,
-  }).start();
+  await runCapture(url, toCrawlerOptions(options), options);
+}
 
-  const crawler = new Crawler({
-    url,
-    output: outputDir,
-    depth: parseInt(options.depth, 10),
+/**
+ * Map CLI options to Crawler options
+ */
+function toCrawlerOptions(options) {
+  return {
+    output: options.output,
+    seeds: options.seeds,
+    depth: parseInteger(options.depth),
     scope: options.scope,
     stayInDir: options.stayInDir,
     externalAssets: options.externalAssets,
+    sitemap: options.sitemap || Boolean(options.sitemapUrl?.length),
+    sitemapUrls: [].concat(options.sitemapUrl || []),
     include: options.include || [],
     exclude: options.exclude || [],
     mimeInclude: options.mimeInclude || [],
@@ -370,43 +608,117 @@ async function capture(url, options) {
     maxSize: parseSize(options.maxSize),
     minSize: parseSize(options.minSize),
     wait: options.wait,
-    waitTime: parseInt(options.waitTime, 10),
-    timeout: parseInt(options.timeout, 10),
+    waitTime: parseInteger(options.waitTime),
+    timeout: parseInteger(options.timeout),
     scroll: options.scroll,
-    scrollWait: parseInt(options.scrollWait, 10),
-    scrollStep: parseInt(options.scrollStep, 10),
-    scrollDelay: parseInt(options.scrollDelay, 10),
+    scrollWait: parseInteger(options.scrollWait),
+    scrollStep: parseInteger(options.scrollStep),
+    scrollDelay: parseInteger(options.scrollDelay),
     scrollBehavior: options.scrollBehavior,
     revealAll: options.revealAll,
     reducedMotion: options.reducedMotion,
+    spa: options.spa,
+    spaClicks: parseInteger(options.spaClicks),
     userAgent: options.userAgent,
     viewport: parseViewport(options.viewport),
     device: options.device,
+    browser: options.browser,
+    connect: options.connect,
+    cdp: options.cdp,
+    userDataDir: options.userDataDir,
     proxy: options.proxy,
     cookies: options.cookies,
-    headers: options.headers ? JSON.parse(options.headers) : {},
+    headers: parseHeaders(options.headers),
     captureAuth: options.captureAuth,
+    login: options.login,
+    plugins: options.plugin,
+    overrides: options.overrides,
+    config: options.projectConfig,
     structure: options.structure,
     har: options.har,
+    warc: options.warc || options.wacz,
+    wacz: options.wacz,
     screenshot: options.screenshot,
     pdf: options.pdf,
     noJs: options.static,
+    replayApi: options.replayApi,
     inlineCss: options.inlineCss,
+    singleFile: options.singleFile,
+    maxInlineSize: parseSize(options.maxInlineSize),
     keepAnalytics: options.keepAnalytics,
-    concurrency: parseInt(options.workers || options.concurrency, 10),
+    concurrency: parseInt(options.workers || options.concurrency || '8', 10),
     maxPages: options.maxPages ? parseInt(options.maxPages, 10) : undefined,
+    order: options.order,
+    priorityPatterns: parsePriorityPatterns(options.priority),
     maxTime: options.maxTime ? parseInt(options.maxTime, 10) * 1000 : undefined,
     rateLimit: options.rateLimit ? parseInt(options.rateLimit, 10) : 0,
+    hostConcurrency: options.hostConcurrency
+      ? parseInt(options.hostConcurrency, 10)
+      : undefined,
+    retries: parseInt(options.retries ?? '2', 10),
+    retryBackoff: parseInt(options.retryBackoff ?? '1000', 10),
+    retryOn: parseStatusList(options.retryOn),
     ignoreRobots: options.ignoreRobots,
     useCache: options.cache,
+    resume: options.resume,
+    retryUrls: options.retryUrls,
+    update: options.update,
+    checkpointInterval:
+      options.checkpointInterval !== undefined
+        ? parseInt(options.checkpointInterval, 10) * 1000
+        : undefined,
     verbose: options.verbose,
     quiet: options.quiet,
     logFile: options.logFile,
     debug: options.debug,
     dryRun: options.dryRun,
+  };
+}
+
+/**
+ * Run a capture and report progress in the terminal
+ *
+ * `options` holds the CLI output flags (verbose, quiet, json).
+ */
+async function runCapture(url, crawlerOptions, options) {
+  // Compute output directory based on URL domain if not specified
+  let outputDir = crawlerOptions.output;
+  if (!outputDir) {
+    const domain = getDomainFromUrl(url);
+    outputDir = getSiteDir(domain);
+    await ensureSmippoHome();
+  }
+
+  const spinner = ora({
+    text: 'Initializing browser...',
+    isSilent: options.quiet || (crawlerOptions.dryRun && options.json),
+  }).start();
+
+  const crawler = new Crawler({
+    ...crawlerOptions,
+    url,
+    output: outputDir,
     spinner,
   });
 
+  crawler.on('auth:waiting', () => {
+    spinner.stop();
+    console.log(
+      chalk.cyan(
+        '  Log in using the browser window, then press Enter here to start the capture.',
+      ),
+    );
+  });
+
+  crawler.on('auth:saved', ({path: authPath}) => {
+    spinner.succeed(`Session saved to ${authPath}`);
+    spinner.start('Capturing...');
+  });
+
+  crawler.on('login:start', () => {
+    spinner.text = 'Logging in...';
+  });
+
   crawler.on('page:start', ({url}) => {
     spinner.text = `Capturing: ${truncateUrl(url, 60)}`;
   });
@@ -420,6 +732,27 @@ async function capture(url, options) {
     }
   });
 
+  crawler.on('sitemap:loaded', ({sitemaps, count}) => {
+    if (!options.quiet) {
+      spinner.info(`Found ${count} URLs in ${sitemaps.length} sitemap(s)`);
+      spinner.start();
+    }
+  });
+
+  crawler.on('page:unchanged', ({url}) => {
+    if (options.verbose) {
+      spinner.info(`Unchanged: ${truncateUrl(url, 50)}`);
+      spinner.start();
+    }
+  });
+
+  crawler.on('page:planned', ({url, assets}) => {
+    if (options.verbose) {
+      spinner.info(`Planned: ${truncateUrl(url, 50)} (${assets} assets)`);
+      spinner.start();
+    }
+  });
+
   crawler.on('asset:save', ({url, size, fetched}) => {
     if (options.verbose) {
       const prefix = fetched ? 'Fetched' : 'Asset';
@@ -433,6 +766,15 @@ async function capture(url, options) {
     }
   });
 
+  crawler.on('retry', ({url, attempt, delay, error}) => {
+    if (options.verbose) {
+      spinner.warn(
+        `Retry ${attempt}: ${truncateUrl(url, 50)} - ${error.message} (waiting ${formatDuration(delay)})`,
+      );
+      spinner.start();
+    }
+  });
+
   crawler.on('error', ({url, error}) => {
     if (!options.quiet) {
       spinner.warn(`Failed: ${truncateUrl(url, 50)} - ${error.message}`);
@@ -440,11 +782,36 @@ async function capture(url, options) {
     }
   });
 
-  const result = await crawler.start();
+  // Save progress before exiting so `smippo continue` can pick up from here
+  const onInterrupt = async () => {
+    spinner.warn('Interrupted, saving progress...');
+    await crawler.checkpoint();
+    console.log(chalk.dim('  Run `smippo continue` to resume this capture.'));
+    process.exit(130);
+  };
+  process.once('SIGINT', onInterrupt);
+  process.once('SIGTERM', onInterrupt);
+
+  let result;
+  try {
+    result = await crawler.start();
+  } finally {
+    process.off('SIGINT', onInterrupt);
+    process.off('SIGTERM', onInterrupt);
+  }
+
+  if (result.plan) {
+    spinner.stop();
+    printPlan(result.plan, options);
+    return;
+  }
 
   spinner.succeed(chalk.green(`Capture complete!`));
   console.log('');
   console.log(chalk.cyan('  Summary:'));
+  if (crawler.seeds.length > 1) {
+    printSeedSummary(crawler.seeds, result.manifest, options);
+  }
   console.log(`    Pages captured:  ${result.stats.pagesCapt}`);
   console.log(`    Assets saved:    ${result.stats.assetsCapt}`);
   console.log(`    Total size:      ${formatSize(result.stats.totalSize)}`);
@@ -452,6 +819,14 @@ async function capture(url, options) {
   if (result.stats.errors > 0) {
     console.log(chalk.yellow(`    Errors:          ${result.stats.errors}`));
   }
+  if (result.changes) {
+    console.log('');
+    console.log(chalk.cyan('  Changes since last capture:'));
+    console.log(`    Added:           ${result.changes.added}`);
+    console.log(`    Changed:         ${result.changes.changed}`);
+    console.log(`    Unchanged:       ${result.changes.unchanged}`);
+    console.log(`    Removed:         ${result.changes.removed}`);
+  }
   console.log('');
   console.log(`  Output: ${chalk.underline(outputDir)}`);
 
@@ -471,6 +846,60 @@ async function capture(url, options) {
   }
 }
 
+function printSeedSummary(seeds, manifest, options) {
+  const failed = new Set(
+    manifest.errors
+      .filter(error => error.phase === 'navigation')
+      .map(error => error.url),
+  );
+  const failedSeeds = seeds.filter(seed => failed.has(seed.url));
+
+  console.log(
+    `    Seed URLs:       ${seeds.length}${failedSeeds.length > 0 ? chalk.yellow(` (${failedSeeds.length} failed)`) : ''}`,
+  );
+  if (options.verbose) {
+    for (const seed of failedSeeds) {
+      console.log(chalk.yellow(`      ✗ ${seed.url}`));
+    }
+  }
+}
+
+function printPlan(plan, options) {
+  if (options.json) {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
+
+  const reasons = Object.entries(plan.summary.skippedByReason)
+    .map(([reason, count]) => `${reason}: ${count}`)
+    .join(', ');
+
+  console.log('');
+  console.log(chalk.cyan('  Dry run - nothing was saved'));
+  console.log(`    Pages to capture: ${plan.summary.pages}`);
+  console.log(`    Assets (est.):    ${plan.summary.assets}`);
+  console.log(
+    `    Skipped URLs:     ${plan.summary.skipped}${reasons ? chalk.dim(` (${reasons})`) : ''}`,
+  );
+  console.log('');
+
+  console.log(chalk.cyan('  Pages:'));
+  for (const page of plan.pages) {
+    console.log(
+      `    ${page.url} ${chalk.dim(`(depth ${page.depth}, ${page.assets} assets)`)}`,
+    );
+  }
+
+  if (options.verbose && plan.skipped.length > 0) {
+    console.log('');
+    console.log(chalk.cyan('  Skipped:'));
+    for (const {url, reason} of plan.skipped) {
+      console.log(`    ${url} ${chalk.dim(`(${reason})`)}`);
+    }
+  }
+  console.log('');
+}
+
 async function continueCapture(options) {
   if (!manifestExists(options.output)) {
     throw new Error(
@@ -479,13 +908,30 @@ async function continueCapture(options) {
   }
 
   const manifest = await readManifest(options.output);
-  console.log(chalk.cyan(`Continuing capture of ${manifest.rootUrl}...`));
+  const state = await readCrawlState(options.output);
 
-  await capture(manifest.rootUrl, {
-    ...manifest.options,
-    ...options,
-    useCache: true,
-  });
+  if (state) {
+    console.log(chalk.cyan(`Continuing capture of ${manifest.rootUrl}...`));
+  } else {
+    console.log(
+      chalk.yellow(
+        `No saved progress found, re-running capture of ${manifest.rootUrl}...`,
+      ),
+    );
+  }
+
+  await runCapture(
+    manifest.rootUrl,
+    {
+      ...getCaptureOptions(manifest),
+      config: manifest.config,
+      output: options.output,
+      verbose: options.verbose,
+      useCache: true,
+      resume: true,
+    },
+    options,
+  );
 }
 
 async function updateCapture(options) {
@@ -498,16 +944,135 @@ async function updateCapture(options) {
   const manifest = await readManifest(options.output);
   console.log(chalk.cyan(`Updating mirror of ${manifest.rootUrl}...`));
 
-  await capture(manifest.rootUrl, {
-    ...manifest.options,
-    ...options,
-    useCache: true,
-    update: true,
-  });
+  await runCapture(
+    manifest.rootUrl,
+    {
+      ...getCaptureOptions(manifest),
+      config: manifest.config,
+      output: options.output,
+      verbose: options.verbose,
+      useCache: true,
+      update: true,
+    },
+    options,
+  );
+}
+
+async function retryCapture(outputDir, options) {
+  if (!manifestExists(outputDir)) {
+    throw new Error(`No capture found in ${outputDir}`);
+  }
+
+  const manifest = await readManifest(outputDir);
+  const failed = getFailedPages(manifest);
+
+  if (failed.length === 0) {
+    console.log(chalk.green('No failed pages to retry.'));
+    return;
+  }
+
+  console.log(
+    chalk.cyan(
+      `Retrying ${failed.length} failed page(s) of ${manifest.rootUrl}...`,
+    ),
+  );
+
+  await runCapture(
+    manifest.rootUrl,
+    {
+      ...getCaptureOptions(manifest),
+      config: manifest.config,
+      output: outputDir,
+      verbose: options.verbose,
+      useCache: true,
+      retryUrls: failed,
+    },
+    options,
+  );
+}
+
+/**
+ * Collect seed URLs from arguments, --urls-file and stdin ("-")
+ *
+ * Without any, falls back to `url`/`urls` from the config file.
+ */
+async function getSeeds(urls, options) {
+  const seeds = [];
+
+  for (const url of urls) {
+    if (url === '-') {
+      seeds.push(...(await readUrlList('-')));
+    } else {
+      seeds.push({url});
+    }
+  }
+  if (options.urlsFile) {
+    seeds.push(...(await readUrlList(options.urlsFile)));
+  }
+
+  if (seeds.length === 0) {
+    const configUrls = options.urls || (options.url ? [options.url] : []);
+    seeds.push(...configUrls.map(url => ({url})));
+  }
+
+  return seeds;
+}
+
+/**
+ * Use config values for options not given on the command line
+ *
+ * Only options the command knows are taken (plus `extraKeys`); with
+ * `strict`, any other key is an error.
+ */
+function applyConfig(command, options, config, settings = {}) {
+  const {extraKeys = [], strict = false} = settings;
+  const known = new Set([
+    ...command.options.map(option => option.attributeName()),
+    ...extraKeys,
+  ]);
+  const applied = {...options};
+
+  for (const [key, value] of Object.entries(config.values)) {
+    if (!known.has(key)) {
+      if (strict) {
+        throw new Error(`Unknown option "${key}" in ${config.file}`);
+      }
+      continue;
+    }
+    if (command.getOptionValueSource(key) !== 'cli') {
+      applied[key] = value;
+    }
+  }
+
+  return applied;
+}
+
+// Repeatable option, unlike <value...> it doesn't swallow the seed URL
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function parseInteger(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return parseInt(value, 10);
+}
+
+function parseHeaders(value) {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function parseStatusList(value) {
+  if (!value) return undefined;
+  return String(value)
+    .split(',')
+    .map(status => parseInt(status.trim(), 10))
+    .filter(status => !Number.isNaN(status));
 }
 
 function parseSize(sizeStr) {
   if (!sizeStr) return undefined;
+  if (typeof sizeStr === 'number') return sizeStr;
   const match = sizeStr.match(/^(\d+(?:\.\d+)?)\s*(KB|MB|GB|B)?$/i);
   if (!match) return undefined;
 
@@ -520,6 +1085,7 @@ function parseSize(sizeStr) {
 
 function parseViewport(viewportStr) {
   if (!viewportStr) return {width: 1920, height: 1080};
+  if (typeof viewportStr === 'object') return viewportStr;
   const [width, height] = viewportStr.split('x').map(Number);
   return {width: width || 1920, height: height || 1080};
 }
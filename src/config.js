@@ -0,0 +1,161 @@
+// @flow
+import fs from 'fs-extra';
+import path from 'path';
+import {pathToFileURL} from 'url';
+import YAML from 'yaml';
+
+// Looked up in the working directory when --config is not given
+export const CONFIG_FILES = [
+  'smippo.config.js',
+  'smippo.config.mjs',
+  '.smippo.json',
+  '.smippo.yaml',
+  '.smippo.yml',
+];
+
+// Page options a per-URL override may change
+export const OVERRIDE_OPTIONS = [
+  'wait',
+  'waitTime',
+  'timeout',
+  'scroll',
+  'scrollWait',
+  'scrollStep',
+  'scrollDelay',
+  'scrollBehavior',
+  'revealAll',
+  'reducedMotion',
+  'screenshot',
+  'pdf',
+  'spa',
+  'spaClicks',
+];
+
+/**
+ * Find the project config file in a directory
+ */
+export async function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(cwd, name);
+    if (await fs.pathExists(filePath)) return filePath;
+  }
+  return null;
+}
+
+/**
+ * Read a config file (.js/.mjs, .json, .yaml or .yml)
+ *
+ * A JS config default-exports the config object, or a (possibly async)
+ * function returning it.
+ */
+export async function readConfigFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  let config;
+
+  if (ext === '.js' || ext === '.mjs') {
+    const loaded = await import(pathToFileURL(filePath).href);
+    config = loaded.default ?? loaded;
+    if (typeof config === 'function') config = await config();
+  } else if (ext === '.yaml' || ext === '.yml') {
+    config = YAML.parse(await fs.readFile(filePath, 'utf8'));
+  } else {
+    config = await fs.readJson(filePath);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config ${filePath} must contain an object of options`);
+  }
+
+  return config;
+}
+
+/**
+ * Load the project config and apply a profile
+ *
+ * Looks for a config file in `cwd` unless `file` is given. Resolves to
+ * {file, profile, values}, where `values` are the effective options keyed
+ * like the CLI flags (camelCase), or null without a config file.
+ */
+export async function loadProjectConfig(options = {}) {
+  const {cwd = process.cwd(), profile = null} = options;
+
+  const file = options.file
+    ? path.resolve(cwd, options.file)
+    : await findConfigFile(cwd);
+
+  if (!file) {
+    if (profile) {
+      throw new Error(`--profile ${profile} needs a config file`);
+    }
+    return null;
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  const config = await readConfigFile(file);
+  return {file, profile, values: resolveProfile(config, profile, file)};
+}
+
+/**
+ * Merge a named profile over the base options
+ *
+ * Profile options win; overrides from both are kept, the profile's last so
+ * they take precedence.
+ */
+export function resolveProfile(config, profile, file = 'config') {
+  const {profiles = {}, ...base} = normalizeKeys(config);
+
+  let selected = {};
+  if (profile) {
+    if (!profiles[profile]) {
+      const available = Object.keys(profiles).join(', ') || 'none';
+      throw new Error(
+        `Unknown profile "${profile}" in ${file} (available: ${available})`,
+      );
+    }
+    selected = normalizeKeys(profiles[profile]);
+  }
+
+  const values = {...base, ...selected};
+  const overrides = [...(base.overrides || []), ...(selected.overrides || [])];
+  if (overrides.length > 0) {
+    values.overrides = overrides.map(override =>
+      validateOverride(override, file),
+    );
+  }
+
+  return values;
+}
+
+/**
+ * Check a per-URL override: {match, ...page options}
+ */
+function validateOverride(override, file) {
+  const {match, ...values} = normalizeKeys(override || {});
+
+  if (!match) {
+    throw new Error(`Override in ${file} is missing "match"`);
+  }
+  for (const key of Object.keys(values)) {
+    if (!OVERRIDE_OPTIONS.includes(key)) {
+      throw new Error(
+        `"${key}" cannot be overridden per URL in ${file} (use ${OVERRIDE_OPTIONS.join(', ')})`,
+      );
+    }
+  }
+
+  return {match, ...values};
+}
+
+/**
+ * Accept flag-style keys ("wait-time") as well as option names ("waitTime")
+ */
+function normalizeKeys(values) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(values)) {
+    normalized[key.replace(/-([a-z])/g, (_match, c) => c.toUpperCase())] =
+      value;
+  }
+  return normalized;
+}
@@ -1,18 +1,45 @@
-import {chromium, devices} from 'playwright';
 import {EventEmitter} from 'events';
-import PQueue from 'p-queue';
 import fs from 'fs-extra';
+import path from 'path';
 import {PageCapture} from './page-capture.js';
 import {ResourceSaver} from './resource-saver.js';
 import {Filter} from './filter.js';
 import {RobotsHandler} from './robots.js';
 import {rewriteLinks, rewriteCssUrls} from './link-rewriter.js';
+import {extractLinksFromHtml} from './link-extractor.js';
+import {CrawlPlan} from './plan.js';
+import {HostScheduler} from './scheduler.js';
+import {inlineResources} from './single-file.js';
+import {ReplayRecorder, injectReplayShim} from './replay.js';
+import {captureAuthState} from './auth.js';
+import {loadLoginRecipe, performLogin, isLoginRedirect} from './login.js';
+import {loadSitemaps} from './sitemap.js';
 import {normalizeUrl, isLikelyPage} from './utils/url.js';
 import {Logger} from './utils/logger.js';
+import {
+  applyPageOptions,
+  checkBrowserSupport,
+  getDeviceOptions,
+  openBrowserContext,
+  withExtraHeaders,
+} from './utils/browser.js';
+import {
+  createCache,
+  hashContent,
+  recordValidators,
+  getConditionalHeaders,
+  isUnchanged,
+} from './cache.js';
 import {
   findMissingResources,
   fetchMissingResources,
 } from './utils/fetch-missing.js';
+import {
+  HttpError,
+  createRetryPolicy,
+  parseRetryAfter,
+  withRetry,
+} from './utils/retry.js';
 import {shouldExcludeUrl} from './filters/exclude-patterns.js';
 import {
   createManifest,
@@ -21,12 +48,43 @@ import {
   readCache,
   writeCache,
   addPageToManifest,
+  removePagesFromManifest,
   addAssetToManifest,
   addErrorToManifest,
+  clearPageErrors,
   finalizeManifest,
+  readCrawlState,
+  writeCrawlState,
+  clearCrawlState,
   getHarPath,
+  getWarcPath,
+  getWaczPath,
+  getAuthPath,
   getLogPath,
+  getStoredConfig,
+  getStoredOptions,
 } from './manifest.js';
+import {WarcWriter, createWacz, pageMetadata} from './warc.js';
+import {PluginManager, loadPlugins} from './plugins.js';
+
+// Strategies for --order
+const CRAWL_ORDERS = ['bfs', 'dfs', 'priority'];
+
+/**
+ * Parse --priority values ("pattern" or "pattern=weight", default weight 10)
+ */
+export function parsePriorityPatterns(patterns) {
+  if (!patterns) return [];
+  return patterns.map(value => {
+    if (typeof value === 'object') return value;
+
+    // "pattern=weight", where the pattern itself may contain "="
+    const match = value.match(/^(.*)=(-?\d+(?:\.\d+)?)$/);
+    return match
+      ? {pattern: match[1], weight: parseFloat(match[2])}
+      : {pattern: value, weight: 10};
+  });
+}
 
 /**
  * Main crawler class
@@ -35,15 +93,65 @@ export class Crawler extends EventEmitter {
   constructor(options) {
     super();
     this.options = options;
-    this.url = normalizeUrl(options.url);
-    this.depth = options.depth || 0;
+    this.seeds = getSeeds(options);
+    this.url = this.seeds[0].url; // primary seed, the manifest root
+    this.depth = Math.max(...this.seeds.map(seed => seed.depth));
     this.visited = new Set();
-    this.queue = new PQueue({concurrency: options.concurrency || 8});
+    this.pending = new Map(); // URL -> remaining depth, queued but not started
+    this.inFlight = new Map(); // URL -> remaining depth, currently capturing
+    this.levels = new Map(); // URL -> links followed from its seed (--order)
+    this.deferred = new Map(); // URL -> remaining depth, skipped by limits
+    this.checkpointInterval = options.checkpointInterval ?? 30000;
+    this.lastCheckpoint = 0;
+    this.checkpointing = null;
+    this.previousPages = new Map(); // URL -> manifest entry (update mode)
+    this.previousAssets = new Map();
+    this.changes = new Map(); // URL -> added|changed|unchanged|removed
+    this.previousLinks = {}; // Page URL -> links of the previous capture
+    this.linkedFrom = null; // URL -> pages that linked to it, built lazily
+    this.browserName = options.browser || 'chromium';
+    checkBrowserSupport(this.browserName, {
+      pdf: options.pdf || options.overrides?.some(override => override.pdf),
+      connect: options.connect,
+      cdp: options.cdp,
+      userDataDir: options.userDataDir,
+    });
+    this.order = options.order || 'bfs';
+    if (!CRAWL_ORDERS.includes(this.order)) {
+      throw new Error(
+        `Unknown crawl order: ${this.order} (use ${CRAWL_ORDERS.join(', ')})`,
+      );
+    }
+    this.started = 0; // pages started, resumed runs included, for --max-pages
+    this.sitemapPriorities = new Map(); // URL -> <priority> from sitemaps
+    this.retryPolicy = createRetryPolicy(options);
+    this.queue = new HostScheduler({
+      concurrency: options.concurrency || 8,
+      hostConcurrency: options.hostConcurrency,
+      hostDelay: options.rateLimit,
+      // robots.txt Crawl-delay spaces out requests to its host
+      getHostDelay: url => this.robots.getCrawlDelay(url) * 1000,
+    });
     this.startTime = null;
     this.browser = null;
     this.context = null;
+    this.request = null; // APIRequestContext for fetches outside pages
     this.manifest = null;
     this.cache = null;
+    this.warc = null;
+    this.authPath = null;
+    this.sharedContext = false; // Context of an attached browser, left open
+    this.pageOptions = null; // Applied to each page of a shared context
+    this.plugins = new PluginManager();
+    this.loginRecipe = null;
+    this.loggingIn = null;
+    this.plan = options.dryRun
+      ? new CrawlPlan(this.url, {depth: this.depth})
+      : null;
+    this.replay =
+      options.replayApi && !options.dryRun
+        ? new ReplayRecorder(options.output)
+        : null;
 
     this.saver = new ResourceSaver({
       output: options.output,
@@ -51,7 +159,7 @@ export class Crawler extends EventEmitter {
     });
 
     this.filter = new Filter({
-      baseUrl: this.url,
+      baseUrls: this.seeds.map(seed => seed.url),
       scope: options.scope,
       stayInDir: options.stayInDir,
       externalAssets: options.externalAssets,
@@ -71,7 +179,9 @@ export class Crawler extends EventEmitter {
     this.logger = new Logger({
       verbose: options.verbose,
       quiet: options.quiet,
-      logFile: options.logFile || getLogPath(options.output),
+      // A dry run leaves the output directory untouched
+      logFile:
+        options.logFile || (options.dryRun ? null : getLogPath(options.output)),
     });
   }
 
@@ -82,6 +192,10 @@ export class Crawler extends EventEmitter {
     this.startTime = Date.now();
 
     try {
+      if (this.options.plugins?.length) {
+        this.plugins = await loadPlugins(this.options.plugins);
+      }
+
       // Initialize browser
       await this._initBrowser();
 
@@ -93,31 +207,102 @@ export class Crawler extends EventEmitter {
 
       if (!this.manifest) {
         this.manifest = createManifest(this.url, this.options);
+      } else {
+        // The next update or continue reproduces the latest run
+        this.manifest.options = getStoredOptions(this.options);
+        this.manifest.config = getStoredConfig(this.options.config);
       }
 
       if (!this.cache) {
-        this.cache = {etags: {}, lastModified: {}, contentTypes: {}};
+        this.cache = createCache();
+      }
+
+      if (this.options.update) {
+        this._loadPreviousCapture();
       }
 
       // Ensure output directory exists
-      await fs.ensureDir(this.options.output);
+      if (!this.plan) {
+        await fs.ensureDir(this.options.output);
+      }
+
+      await this.replay?.open();
+
+      if (this.options.warc && !this.plan) {
+        this.warc = new WarcWriter(getWarcPath(this.options.output));
+        // Runs that build on an earlier capture keep its records
+        await this.warc.open({
+          description: `Capture of ${this.url}`,
+          append: Boolean(
+            this.options.resume ||
+            this.options.update ||
+            this.options.retryUrls,
+          ),
+        });
+      }
 
-      // Start crawling
-      await this._crawl(this.url, this.depth);
+      // Resume from a checkpoint or start crawling from the root
+      const state = this.options.resume
+        ? await readCrawlState(this.options.output)
+        : null;
+
+      if (this.options.retryUrls) {
+        // Only re-capture pages that failed, without following their links
+        for (const retryUrl of this.options.retryUrls) {
+          await this._crawl(retryUrl, 0);
+        }
+      } else if (state) {
+        await this._restoreState(state);
+      } else {
+        for (const seed of this.seeds) {
+          await this._crawl(seed.url, seed.depth);
+        }
+
+        if (this.options.sitemap) {
+          await this._seedFromSitemaps();
+        }
+      }
 
       // Wait for queue to finish
       await this.queue.onIdle();
 
+      if (this.plan) {
+        await this.logger.flush();
+        return {plan: this.plan.toJSON()};
+      }
+
       // Finalize
+      const changes = this.options.update ? this._summarizeChanges() : null;
+      if (changes) {
+        this.manifest.lastUpdate = changes;
+        removePagesFromManifest(this.manifest, changes.removedUrls);
+        for (const url of changes.removedUrls) {
+          delete this.cache.links[url];
+        }
+      }
+
       const duration = Date.now() - this.startTime;
       finalizeManifest(this.manifest, duration);
       await writeManifest(this.options.output, this.manifest);
       await writeCache(this.options.output, this.cache);
+      await this.replay?.write();
+      await this._closeWarc();
+
+      // Keep the frontier around if limits cut the crawl short
+      if (this.options.retryUrls) {
+        // A retry leaves any unfinished crawl for `continue`
+      } else if (this.deferred.size > 0) {
+        await writeCrawlState(this.options.output, this.getState());
+      } else {
+        await clearCrawlState(this.options.output);
+      }
+
       await this.logger.flush();
 
       return {
         stats: this.manifest.stats,
         manifest: this.manifest,
+        changes,
       };
     } finally {
       await this._closeBrowser();
@@ -125,23 +310,306 @@ export class Crawler extends EventEmitter {
   }
 
   /**
-   * Initialize the browser
+   * Close the WARC file and package it as WACZ if requested
    */
-  async _initBrowser() {
-    const launchOptions = {
-      headless: !this.options.debug,
+  async _closeWarc() {
+    if (!this.warc) return;
+
+    await this.warc.close();
+
+    if (this.options.wacz) {
+      await createWacz(this.warc, getWaczPath(this.options.output), {
+        mainPageUrl: this.url,
+      });
+    }
+  }
+
+  /**
+   * Append a captured page and its resources to the WARC file
+   */
+  async _archivePage(url, result, fetchedResources) {
+    const date = new Date().toISOString();
+    const raw = result.rawResponse || {};
+
+    const pageRecord = await this.warc.writeExchange({
+      url: result.url || url,
+      method: raw.method,
+      requestHeaders: raw.requestHeaders,
+      status: result.status || 200,
+      statusText: raw.statusText,
+      headers: result.headers,
+      // Fall back to the rendered DOM if the raw body is unavailable
+      body: raw.body || Buffer.from(result.html),
+      date,
+    });
+
+    for (const resources of [result.resources, fetchedResources]) {
+      for (const resource of resources.values()) {
+        if (resource.notModified) continue;
+        await this.warc.writeExchange({...resource, date});
+      }
+    }
+
+    await this.warc.writeMetadata(
+      url,
+      pageMetadata({title: result.title}, result.links.pages),
+      pageRecord.id,
+    );
+    this.warc.addPage(url, result.title, date);
+  }
+
+  /**
+   * Snapshot the crawl frontier so an interrupted crawl can be resumed
+   */
+  getState() {
+    const toEntries = map =>
+      [...map].map(([url, remainingDepth]) => ({
+        url,
+        remainingDepth,
+        level: this.levels.get(url),
+      }));
+
+    return {
+      version: 1,
+      rootUrl: this.url,
+      updated: new Date().toISOString(),
+      visited: [...this.visited],
+      pending: [...toEntries(this.pending), ...toEntries(this.deferred)],
+      inFlight: toEntries(this.inFlight),
+      // In-flight pages are captured again on resume, so they don't count
+      started: this.started - this.inFlight.size,
+    };
+  }
+
+  /**
+   * Persist manifest, cache and crawl frontier to the output directory
+   */
+  async checkpoint() {
+    if (!this.manifest || this.plan) return;
+
+    // Only one checkpoint write at a time, workers share the result
+    if (!this.checkpointing) {
+      this.checkpointing = (async () => {
+        try {
+          await writeManifest(this.options.output, this.manifest);
+          await writeCache(this.options.output, this.cache);
+          await this.replay?.write();
+          await writeCrawlState(this.options.output, this.getState());
+          this.lastCheckpoint = Date.now();
+        } catch (error) {
+          this.logger.debug(`Failed to write checkpoint: ${error.message}`);
+        } finally {
+          this.checkpointing = null;
+        }
+      })();
+    }
+
+    return this.checkpointing;
+  }
+
+  /**
+   * Checkpoint if the configured interval has elapsed
+   */
+  async _maybeCheckpoint() {
+    if (this.checkpointInterval <= 0) return;
+    if (Date.now() - this.lastCheckpoint < this.checkpointInterval) return;
+
+    await this.checkpoint();
+  }
+
+  /**
+   * Rebuild visited set and queue from a checkpoint
+   *
+   * Pending URLs are checked again, so they follow the current filters.
+   */
+  async _restoreState(state) {
+    this.visited = new Set(state.visited || []);
+
+    // --max-pages covers the whole crawl, not each run
+    this.started = state.started || 0;
+
+    // In-flight pages never finished, so they are captured again
+    const entries = [...(state.inFlight || []), ...(state.pending || [])];
+
+    // Filters, plugins or robots.txt may have changed since the checkpoint
+    let remaining = 0;
+    for (const {url, remainingDepth, level} of entries) {
+      this.visited.add(url);
+      if (await this._getSkipReason(url)) continue;
+      // Older checkpoints have no level, estimate it from the depth
+      this._enqueue(url, remainingDepth, level ?? this.depth - remainingDepth);
+      remaining++;
+    }
+
+    this.logger.info(
+      `Resuming crawl: ${this.visited.size - entries.length} done, ${remaining} remaining`,
+    );
+  }
+
+  /**
+   * Index the previous capture so unchanged files are kept as they are
+   */
+  _loadPreviousCapture() {
+    for (const page of this.manifest.pages || []) {
+      this.previousPages.set(page.url, page);
+      this.saver.markSaved(page.url, page.localPath);
+    }
+    this.previousLinks = {...this.cache.links};
+
+    for (const asset of this.manifest.assets || []) {
+      this.previousAssets.set(asset.url, asset);
+      this.saver.markSaved(asset.url, asset.localPath);
+    }
+  }
+
+  /**
+   * Record how a URL changed since the previous capture (update mode)
+   */
+  _recordChange(url, previous, change) {
+    if (!this.options.update || this.changes.has(url)) return;
+
+    if (!change) {
+      change = previous.has(url) ? 'changed' : 'added';
+    }
+
+    this.changes.set(url, change);
+    this.emit('update:change', {url, change});
+  }
+
+  /**
+   * Count added/changed/unchanged/removed URLs at the end of an update
+   */
+  _summarizeChanges() {
+    // Pages the crawl didn't reach are only gone if their links are
+    for (const url of this.previousPages.keys()) {
+      if (!this.visited.has(url) && this._isNoLongerLinked(url)) {
+        this.changes.set(url, 'removed');
+      }
+    }
+
+    const summary = {
+      date: new Date().toISOString(),
+      added: 0,
+      changed: 0,
+      unchanged: 0,
+      removed: 0,
+      removedUrls: [],
     };
 
-    this.browser = await chromium.launch(launchOptions);
+    for (const [url, change] of this.changes) {
+      summary[change]++;
+      if (change === 'removed') {
+        summary.removedUrls.push(url);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Whether every page that linked to a URL in the previous capture was
+   * captured again and doesn't link to it anymore. Seeds and pages whose
+   * linkers were skipped (limits, filters, errors) are not known to be gone.
+   */
+  _isNoLongerLinked(url) {
+    if (!this.linkedFrom) {
+      this.linkedFrom = new Map();
+      for (const [from, links] of Object.entries(this.previousLinks)) {
+        for (const link of links) {
+          if (link === from) continue;
+          if (!this.linkedFrom.has(link)) this.linkedFrom.set(link, []);
+          this.linkedFrom.get(link).push(from);
+        }
+      }
+    }
+
+    const linkers = this.linkedFrom.get(url) || [];
+    return (
+      linkers.length > 0 &&
+      linkers.every(
+        from =>
+          this.changes.has(from) &&
+          this.changes.get(from) !== 'removed' &&
+          !(this.cache.links[from] || []).includes(url),
+      )
+    );
+  }
 
+  /**
+   * Ask the server whether a previously captured page changed (update mode)
+   */
+  async _checkPageUnchanged(url) {
+    if (!this.previousPages.has(url)) return 'stale';
+
+    const headers = getConditionalHeaders(this.cache, url);
+    if (Object.keys(headers).length === 0) return 'stale';
+
+    try {
+      const response = await this.request.get(url, {
+        headers,
+        timeout: this.options.timeout || 30000,
+      });
+      const status = response.status();
+      await response.dispose();
+
+      if (status === 304) return 'unchanged';
+      if (status === 404 || status === 410) return 'removed';
+    } catch (error) {
+      this.logger.debug(
+        `Conditional check failed for ${url}: ${error.message}`,
+      );
+    }
+
+    return 'stale';
+  }
+
+  /**
+   * Drop resources that match the previous capture and record validators
+   */
+  async _filterUnchanged(resources) {
+    const toSave = new Map();
+
+    for (const [resourceUrl, resource] of resources) {
+      const previous = this.previousAssets.get(resourceUrl);
+      const unchanged =
+        previous &&
+        (resource.notModified ||
+          isUnchanged(this.cache, resourceUrl, resource)) &&
+        (await fs.pathExists(
+          path.join(this.options.output, previous.localPath),
+        ));
+
+      if (unchanged) {
+        this.saver.markSaved(resourceUrl, previous.localPath);
+        this._recordChange(resourceUrl, this.previousAssets, 'unchanged');
+        continue;
+      }
+
+      if (resource.notModified) continue;
+
+      recordValidators(this.cache, resourceUrl, resource);
+      this._recordChange(resourceUrl, this.previousAssets);
+      toSave.set(resourceUrl, resource);
+    }
+
+    return toSave;
+  }
+
+  /**
+   * Initialize the browser
+   */
+  async _initBrowser() {
     const contextOptions = {
       viewport: this.options.viewport,
       userAgent: this.options.userAgent,
     };
 
     // Apply device emulation
-    if (this.options.device && devices[this.options.device]) {
-      Object.assign(contextOptions, devices[this.options.device]);
+    const deviceOptions = this.options.device
+      ? getDeviceOptions(this.options.device, this.browserName)
+      : null;
+    if (deviceOptions) {
+      Object.assign(contextOptions, deviceOptions);
     }
 
     // Set up proxy
@@ -149,33 +617,123 @@ export class Crawler extends EventEmitter {
       contextOptions.proxy = {server: this.options.proxy};
     }
 
+    // Log in by hand first, the saved session is reused from then on
+    const authPath = getAuthPath(this.options.output);
+    if (this.options.captureAuth && !this.plan) {
+      await captureAuthState(this.url, {
+        authPath,
+        browser: this.browserName,
+        contextOptions,
+        timeout: this.options.timeout,
+        onWaiting: () => this.emit('auth:waiting', {url: this.url}),
+      });
+      this.emit('auth:saved', {path: authPath});
+    }
+
+    // A persistent profile keeps its own session instead of auth.json
+    if (!this.options.userDataDir && (await fs.pathExists(authPath))) {
+      contextOptions.storageState = authPath;
+      // A dry run uses the saved session without refreshing it
+      if (!this.plan) this.authPath = authPath;
+    }
+
     // Record HAR if enabled
-    if (this.options.har) {
+    if (this.options.har && !this.plan) {
       contextOptions.recordHar = {
         path: getHarPath(this.options.output),
         mode: 'full',
       };
     }
 
-    this.context = await this.browser.newContext(contextOptions);
-
-    // Load cookies if provided
-    if (this.options.cookies) {
+    const headers =
+      this.options.headers && Object.keys(this.options.headers).length > 0
+        ? this.options.headers
+        : undefined;
+    contextOptions.extraHTTPHeaders = headers;
+
+    // Attach to a running browser, open a profile or launch a fresh one
+    const {browser, context, shared} = await openBrowserContext(
+      this.browserName,
+      {
+        connect: this.options.connect,
+        cdp: this.options.cdp,
+        userDataDir: this.options.userDataDir,
+        launchOptions: {headless: !this.options.debug},
+        contextOptions,
+        timeout: this.options.timeout,
+      },
+    );
+    this.browser = browser;
+    this.context = context;
+    this.request = context.request;
+
+    // An attached browser's own context is left as it is: our pages get the
+    // viewport and headers, its session is not saved to auth.json
+    this.sharedContext = shared;
+    if (shared) {
+      this.authPath = null;
+      this.pageOptions = {
+        viewport: contextOptions.viewport,
+        extraHTTPHeaders: headers,
+      };
+      this.request = withExtraHeaders(context.request, headers);
+
+      const ignored = [
+        this.options.userAgent && '--user-agent',
+        this.options.device && '--device',
+        this.options.proxy && '--proxy',
+        this.options.cookies && '--cookies',
+        contextOptions.storageState && 'the saved session (auth.json)',
+        contextOptions.recordHar && '--har',
+      ].filter(Boolean);
+      if (ignored.length > 0) {
+        this.logger.warn(
+          `Reusing the attached browser context, ignoring ${ignored.join(', ')}`,
+        );
+      }
+    } else if (this.options.cookies) {
       const cookies = await fs.readJson(this.options.cookies);
       await this.context.addCookies(cookies);
     }
 
-    // Set extra headers
-    if (this.options.headers && Object.keys(this.options.headers).length > 0) {
-      await this.context.setExtraHTTPHeaders(this.options.headers);
+    // Scripted login before crawling, a dry run doesn't submit it
+    if (this.options.login && !this.plan) {
+      this.loginRecipe = await loadLoginRecipe(this.options.login);
+      await this._login();
     }
   }
 
+  /**
+   * Run the login recipe, sharing one login between concurrent workers
+   */
+  async _login() {
+    if (!this.loggingIn) {
+      this.emit('login:start', {url: this.loginRecipe.url});
+      this.loggingIn = performLogin(this.context, this.loginRecipe, {
+        timeout: this.options.timeout,
+      }).finally(() => {
+        this.loggingIn = null;
+      });
+    }
+
+    await this.loggingIn;
+    this.emit('login:complete', {url: this.loginRecipe.url});
+  }
+
   /**
    * Close the browser
    */
   async _closeBrowser() {
-    if (this.context) {
+    // An attached browser's own context stays open, pages close themselves
+    if (this.context && !this.sharedContext) {
+      // Keep refreshed session cookies for the next update/continue
+      if (this.authPath) {
+        try {
+          await this.context.storageState({path: this.authPath});
+        } catch (error) {
+          this.logger.debug(`Failed to save session: ${error.message}`);
+        }
+      }
       await this.context.close();
     }
     if (this.browser) {
@@ -186,7 +744,7 @@ export class Crawler extends EventEmitter {
   /**
    * Crawl a URL
    */
-  async _crawl(url, remainingDepth) {
+  async _crawl(url, remainingDepth, level = 0) {
     // Normalize URL
     url = normalizeUrl(url);
 
@@ -195,50 +753,260 @@ export class Crawler extends EventEmitter {
       return;
     }
 
-    // Check max pages limit
-    if (this.options.maxPages && this.visited.size >= this.options.maxPages) {
+    const skipReason = await this._getSkipReason(url);
+    if (skipReason) {
+      this.plan?.addSkipped(url, skipReason);
       return;
     }
 
-    // Check max time limit
-    if (
-      this.options.maxTime &&
-      Date.now() - this.startTime >= this.options.maxTime
-    ) {
+    // Limits only defer URLs that would otherwise be crawled
+    const limit = this._getLimitReason();
+    if (limit) {
+      this._defer(url, remainingDepth, level);
+      this.plan?.addSkipped(url, limit);
       return;
     }
 
-    // Check filter
-    if (!this.filter.shouldFollow(url)) {
-      this.logger.debug(`Filtered out: ${url}`);
-      return;
+    // Mark as visited
+    this.visited.add(url);
+
+    // Add to queue
+    this._enqueue(url, remainingDepth, level);
+  }
+
+  /**
+   * Why a URL must not be crawled: filters, plugins or robots.txt
+   */
+  async _getSkipReason(url) {
+    const rejectReason = this.filter.getRejectReason(url);
+    if (rejectReason) {
+      this.logger.debug(`Filtered out (${rejectReason}): ${url}`);
+      return rejectReason;
     }
 
-    // Check robots.txt
-    const robotsAllowed = await this.robots.isAllowed(url, async robotsUrl => {
-      try {
-        const page = await this.context.newPage();
-        const response = await page.goto(robotsUrl, {timeout: 10000});
-        const content = response?.ok() ? await page.content() : null;
-        await page.close();
-        return content;
-      } catch {
-        return null;
-      }
-    });
+    if (!(await this.plugins.every('shouldFollow', url))) {
+      this.logger.debug(`Filtered out (plugin): ${url}`);
+      return 'plugin';
+    }
 
+    const robotsAllowed = await this.robots.isAllowed(url, robotsUrl =>
+      this._fetchRobotsTxt(robotsUrl),
+    );
     if (!robotsAllowed) {
       this.logger.debug(`Blocked by robots.txt: ${url}`);
+      return 'robots';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch raw robots.txt content for the RobotsHandler
+   */
+  async _fetchRobotsTxt(robotsUrl) {
+    try {
+      const body = await this._fetchRaw(robotsUrl);
+      return body ? body.toString('utf8') : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a raw response body over HTTP using the browser context session
+   */
+  async _fetchRaw(url) {
+    const response = await this.request.get(url, {
+      timeout: this.options.timeout || 30000,
+    });
+
+    try {
+      return response.ok() ? await response.body() : null;
+    } finally {
+      await response.dispose();
+    }
+  }
+
+  /**
+   * Seed the crawl frontier with every URL listed in the sites' sitemaps
+   */
+  async _seedFromSitemaps() {
+    if (this.options.sitemapUrls?.length) {
+      await this._seedFromSitemapUrls(this.options.sitemapUrls, this.depth);
       return;
     }
 
-    // Mark as visited
-    this.visited.add(url);
+    // Each seed site's sitemaps from robots.txt, falling back to /sitemap.xml
+    const origins = new Map(); // origin -> deepest seed depth on it
+    for (const seed of this.seeds) {
+      const {origin} = new URL(seed.url);
+      origins.set(origin, Math.max(origins.get(origin) ?? 0, seed.depth));
+    }
 
-    // Add to queue
-    this.queue.add(async () => {
+    for (const [origin, depth] of origins) {
+      await this.robots.getRobots(origin, robotsUrl =>
+        this._fetchRobotsTxt(robotsUrl),
+      );
+      const sitemapUrls = this.robots.getSitemaps(origin);
+      await this._seedFromSitemapUrls(
+        sitemapUrls.length > 0
+          ? sitemapUrls
+          : [new URL('/sitemap.xml', origin).href],
+        depth,
+      );
+    }
+  }
+
+  /**
+   * Crawl the URLs listed in sitemaps with the given depth
+   */
+  async _seedFromSitemapUrls(sitemapUrls, depth) {
+    const {sitemaps, entries} = await loadSitemaps(
+      sitemapUrls,
+      sitemapUrl => this._fetchRaw(sitemapUrl),
+      {
+        onError: (sitemapUrl, error) => {
+          this.logger.debug(
+            `Failed to read sitemap ${sitemapUrl}: ${error.message}`,
+          );
+        },
+      },
+    );
+
+    this.logger.debug(
+      `Found ${entries.length} URLs in ${sitemaps.length} sitemap(s)`,
+    );
+    this.emit('sitemap:loaded', {sitemaps, count: entries.length});
+
+    for (const entry of entries) {
+      const url = normalizeUrl(entry.loc);
+
+      // On update, trust lastmod to skip pages that have not changed
+      if (this._isUnchangedByLastmod(url, entry.lastmod)) {
+        this.visited.add(url);
+        this._recordChange(url, this.previousPages, 'unchanged');
+        this.emit('page:unchanged', {url});
+        await this._crawlLinks(this.cache.links[url] || [], depth, 0);
+        continue;
+      }
+
+      if (entry.priority !== null) {
+        this.sitemapPriorities.set(url, entry.priority);
+      }
+
+      await this._crawl(url, depth);
+    }
+  }
+
+  /**
+   * Check whether a sitemap lastmod predates the previous capture of a page
+   */
+  _isUnchangedByLastmod(url, lastmod) {
+    if (!this.options.update || !lastmod || this.visited.has(url)) {
+      return false;
+    }
+
+    const previous = this.previousPages.get(url);
+    if (!previous?.captured) return false;
+
+    const modified = Date.parse(lastmod);
+    if (Number.isNaN(modified)) return false;
+
+    return modified <= Date.parse(previous.captured);
+  }
+
+  /**
+   * Queue a page capture and track it in the crawl frontier
+   */
+  _enqueue(url, remainingDepth, level) {
+    this.pending.set(url, remainingDepth);
+    this.levels.set(url, level);
+
+    const priority = this._getPriority(url, level);
+
+    this.queue.add(url, () => this._runPage(url, remainingDepth), {priority});
+  }
+
+  /**
+   * Capture a queued page once the scheduler picks it
+   */
+  async _runPage(url, remainingDepth) {
+    this.pending.delete(url);
+
+    // Limits apply when a page's turn comes, so --order decides which
+    // pages make the cut
+    const limit = this._getLimitReason();
+    if (limit) {
+      this._defer(url, remainingDepth, this.levels.get(url));
+      this.plan?.addSkipped(url, limit);
+      return;
+    }
+
+    this.started++;
+    this.inFlight.set(url, remainingDepth);
+
+    try {
       await this._capturePage(url, remainingDepth);
-    });
+    } finally {
+      this.inFlight.delete(url);
+    }
+
+    await this._maybeCheckpoint();
+  }
+
+  /**
+   * Check whether --max-pages or --max-time stops new pages from starting
+   */
+  _getLimitReason() {
+    if (this.options.maxPages && this.started >= this.options.maxPages) {
+      return 'max-pages';
+    }
+    if (
+      this.options.maxTime &&
+      Date.now() - this.startTime >= this.options.maxTime
+    ) {
+      return 'max-time';
+    }
+    return null;
+  }
+
+  /**
+   * Scheduling priority for a page according to --order
+   *
+   * bfs: shallow pages first. dfs: most recently found first.
+   * priority: --priority pattern weights, plus sitemap priority, minus depth.
+   * `level` counts the links followed from the page's seed.
+   */
+  _getPriority(url, level) {
+    if (this.order === 'dfs') {
+      return this.queue.sequence;
+    }
+
+    if (this.order === 'priority') {
+      let score = -level;
+      for (const {pattern, weight} of this.options.priorityPatterns || []) {
+        if (this.filter.matchesPattern(url, [pattern])) {
+          score += weight;
+        }
+      }
+      if (this.sitemapPriorities.has(url)) {
+        score += this.sitemapPriorities.get(url) * 10;
+      }
+      return score;
+    }
+
+    return -level;
+  }
+
+  /**
+   * Remember a URL skipped by max-pages/max-time so `continue` can pick it up
+   */
+  _defer(url, remainingDepth, level) {
+    const known = this.deferred.get(url);
+    if (known === undefined || remainingDepth > known) {
+      this.deferred.set(url, remainingDepth);
+      this.levels.set(url, level);
+    }
   }
 
   /**
@@ -247,53 +1015,124 @@ export class Crawler extends EventEmitter {
   async _capturePage(url, remainingDepth) {
     this.emit('page:start', {url});
 
+    if (this.plan) {
+      await this._planPage(url, remainingDepth);
+      return;
+    }
+
+    // Errors from a previous attempt are replaced by this one's
+    clearPageErrors(this.manifest, url);
+
     let page = null;
+    let phase = 'navigation';
 
     try {
-      // Rate limiting
-      if (this.options.rateLimit > 0) {
-        await sleep(this.options.rateLimit);
+      // Skip pages the server reports as not modified since the last capture
+      if (this.options.update) {
+        const check = await this._checkPageUnchanged(url);
+
+        if (check === 'unchanged') {
+          this._recordChange(url, this.previousPages, 'unchanged');
+          this.emit('page:unchanged', {url});
+          await this._crawlLinks(
+            this.cache.links[url] || [],
+            remainingDepth,
+            this.levels.get(url),
+          );
+          return;
+        }
+
+        if (check === 'removed') {
+          this._recordChange(url, this.previousPages, 'removed');
+          return;
+        }
       }
 
-      // Check crawl delay from robots.txt
-      const crawlDelay = this.robots.getCrawlDelay(url);
-      if (crawlDelay > 0) {
-        await sleep(crawlDelay * 1000);
+      // Load the page, retrying transient failures
+      let navigation = await this._navigate(url);
+
+      // Session expired mid-crawl, log in again and reload the page once
+      if (this._redirectedToLogin(navigation, url)) {
+        await navigation.page.close();
+        await this._login();
+        navigation = await this._navigate(url);
+
+        if (this._redirectedToLogin(navigation, url)) {
+          await navigation.page.close();
+          throw new Error('Redirected to the login page after logging in');
+        }
       }
 
-      // Create page
-      page = await this.context.newPage();
+      const {result, attempts} = navigation;
+      page = navigation.page;
 
-      // Capture the page
-      const capture = new PageCapture(page, {
-        wait: this.options.wait,
-        waitTime: this.options.waitTime,
-        timeout: this.options.timeout,
-        screenshot: this.options.screenshot,
-        pdf: this.options.pdf,
-        mimeInclude: this.options.mimeInclude,
-        mimeExclude: this.options.mimeExclude,
-        maxSize: this.options.maxSize,
-        minSize: this.options.minSize,
-        scroll: this.options.scroll,
-        scrollWait: this.options.scrollWait,
-        scrollStep: this.options.scrollStep,
-        scrollDelay: this.options.scrollDelay,
-        scrollBehavior: this.options.scrollBehavior,
-        revealAll: this.options.revealAll,
-        reducedMotion: this.options.reducedMotion,
-      });
+      // A page captured before that is gone now leaves the capture
+      if (
+        this.previousPages.has(url) &&
+        (result.status === 404 || result.status === 410)
+      ) {
+        this._recordChange(url, this.previousPages, 'removed');
+        return;
+      }
+
+      if (result.links.routes?.length) {
+        this.logger.debug(
+          `Found ${result.links.routes.length} client-side routes on ${url}`,
+        );
+      }
+
+      // X-Robots-Tag / <meta name="robots"> directives
+      const directives = this.robots.getPageDirectives(
+        result.headers,
+        result.html,
+      );
+
+      if (directives.noindex) {
+        this.logger.debug(`Not saving ${url} (noindex)`);
+        this.emit('page:noindex', {url});
+        if (!directives.nofollow) {
+          await this._crawlLinks(
+            result.links.pages,
+            remainingDepth,
+            this.levels.get(url),
+          );
+        }
+        return;
+      }
 
-      const result = await capture.capture(url);
+      if (result.status >= 400) {
+        const error = new HttpError(result.status, '', result.headers);
+        addErrorToManifest(this.manifest, url, error, {phase, attempts});
+        this.emit('error', {url, error});
+      }
+
+      result.html = await this.plugins.transform(
+        'transformHtml',
+        result.html,
+        url,
+      );
+
+      // Save resources (only new or changed ones when updating)
+      phase = 'save';
+      const onAssetError = (resourceUrl, error) => {
+        this.logger.debug(`Failed to save ${resourceUrl}: ${error.message}`);
+        addErrorToManifest(this.manifest, resourceUrl, error, {
+          page: url,
+          phase: 'save',
+        });
+      };
 
-      // Save resources
-      const savedResources = await this.saver.saveResources(result.resources);
+      const resources = await this._transformResources(result.resources);
+      const changedResources = await this._filterUnchanged(resources);
+      const savedResources = await this.saver.saveResources(changedResources, {
+        onError: onAssetError,
+      });
 
       for (const resource of savedResources) {
         addAssetToManifest(this.manifest, {
           url: resource.url,
           localPath: this.saver.getRelativePath(resource.localPath),
-          mimeType: result.resources.get(resource.url)?.contentType,
+          mimeType: resources.get(resource.url)?.contentType,
           size: resource.size,
         });
 
@@ -305,6 +1144,7 @@ export class Crawler extends EventEmitter {
       }
 
       // Fetch any resources referenced in HTML but not captured
+      let missingResources = new Map();
       const missingUrls = findMissingResources(
         result.html,
         url,
@@ -314,17 +1154,34 @@ export class Crawler extends EventEmitter {
       if (missingUrls.length > 0) {
         this.emit('fetch:missing', {count: missingUrls.length});
 
-        const missingResources = await fetchMissingResources(missingUrls, {
+        // Go through the browser context so cookies, headers, proxy and
+        // user agent match the crawl
+        missingResources = await fetchMissingResources(missingUrls, {
+          request: this.request,
           concurrency: 5,
           timeout: this.options.timeout,
+          getHeaders: this.options.update
+            ? resourceUrl =>
+                this.previousAssets.has(resourceUrl)
+                  ? getConditionalHeaders(this.cache, resourceUrl)
+                  : {}
+            : undefined,
+          retry: this.retryPolicy,
+          onResponse: (resourceUrl, status, headers) =>
+            this._reportResponse(resourceUrl, status, headers),
+          onRetry: (resourceUrl, info) => this._logRetry(resourceUrl, info),
           onProgress: (resourceUrl, resource) => {
             this.emit('asset:fetch', {url: resourceUrl, size: resource.size});
           },
+          onError: onAssetError,
         });
 
         // Save fetched resources
-        const additionalSaved =
-          await this.saver.saveResources(missingResources);
+        missingResources = await this._transformResources(missingResources);
+        const changedMissing = await this._filterUnchanged(missingResources);
+        const additionalSaved = await this.saver.saveResources(changedMissing, {
+          onError: onAssetError,
+        });
 
         for (const resource of additionalSaved) {
           addAssetToManifest(this.manifest, {
@@ -343,30 +1200,90 @@ export class Crawler extends EventEmitter {
         }
       }
 
+      // Keep API responses for `smippo serve` to answer offline
+      if (this.replay) {
+        for (const call of result.apiCalls) {
+          await this.replay.record(call);
+        }
+      }
+
       // Build URL map for link rewriting
       const urlMap = this.saver.getUrlMap();
 
       // Rewrite CSS files to fix asset URLs
-      await this._rewriteCssFiles(result.resources, urlMap);
+      phase = 'rewrite';
+      await this._rewriteCssFiles(url, resources, urlMap);
 
       // Rewrite links in HTML
-      const rewrittenHtml = rewriteLinks(result.html, url, urlMap, {
+      let rewrittenHtml = rewriteLinks(result.html, url, urlMap, {
         structure: this.options.structure,
         noJs: this.options.noJs,
         inlineCss: this.options.inlineCss,
         keepAnalytics: this.options.keepAnalytics,
       });
 
-      // Save HTML
-      const htmlPath = await this.saver.saveHtml(url, rewrittenHtml);
+      // Fold saved stylesheets (or everything) into the page itself
+      if (this.options.singleFile || this.options.inlineCss) {
+        rewrittenHtml = await inlineResources(
+          rewrittenHtml,
+          this.saver.getLocalPath(url),
+          {
+            outputDir: this.options.output,
+            maxInlineSize: this.options.maxInlineSize,
+            cssOnly: !this.options.singleFile,
+          },
+        );
+      }
 
-      // Update manifest
-      addPageToManifest(this.manifest, {
-        url,
-        localPath: this.saver.getRelativePath(htmlPath),
-        size: Buffer.byteLength(rewrittenHtml, 'utf8'),
-        title: result.title,
+      // Route the page's fetch/XHR calls to the recorded responses
+      if (this.replay && !this.options.noJs) {
+        rewrittenHtml = injectReplayShim(rewrittenHtml, {
+          pageUrl: result.url,
+          pagePath: this.saver.getRelativePath(this.saver.getLocalPath(url)),
+        });
+      }
+
+      // Save HTML, leaving the file alone if an update found no changes
+      const previousPage = this.previousPages.get(url);
+      const htmlUnchanged =
+        previousPage &&
+        this.cache.hashes[url] === hashContent(rewrittenHtml) &&
+        (await fs.pathExists(
+          path.join(this.options.output, previousPage.localPath),
+        ));
+
+      phase = 'save';
+      let htmlPath;
+      if (htmlUnchanged) {
+        htmlPath = path.join(this.options.output, previousPage.localPath);
+        this._recordChange(url, this.previousPages, 'unchanged');
+      } else {
+        htmlPath = await this.saver.saveHtml(url, rewrittenHtml);
+        this._recordChange(url, this.previousPages);
+
+        // Update manifest
+        const entry = addPageToManifest(this.manifest, {
+          url,
+          localPath: this.saver.getRelativePath(htmlPath),
+          status: result.status,
+          attempts,
+          size: Buffer.byteLength(rewrittenHtml, 'utf8'),
+          title: result.title,
+        });
+        await this.plugins.run('afterSave', entry);
+      }
+
+      // Remember validators and outgoing links for the next update
+      recordValidators(this.cache, url, {
+        headers: result.headers,
+        body: rewrittenHtml,
       });
+      this.cache.links[url] = result.links.pages;
+
+      // Archive the raw exchanges
+      if (this.warc) {
+        await this._archivePage(url, result, missingResources);
+      }
 
       // Save screenshot if captured
       if (result.screenshot) {
@@ -386,16 +1303,18 @@ export class Crawler extends EventEmitter {
       });
 
       // Continue crawling if depth allows
-      if (remainingDepth > 0) {
-        for (const link of result.links.pages) {
-          if (isLikelyPage(link)) {
-            await this._crawl(link, remainingDepth - 1);
-          }
-        }
+      if (directives.nofollow) {
+        this.logger.debug(`Not following links on ${url} (nofollow)`);
+      } else {
+        await this._crawlLinks(
+          result.links.pages,
+          remainingDepth,
+          this.levels.get(url),
+        );
       }
     } catch (error) {
       this.logger.error(`Failed to capture ${url}`, error);
-      addErrorToManifest(this.manifest, url, error);
+      addErrorToManifest(this.manifest, url, error, {phase});
       this.emit('error', {url, error});
     } finally {
       if (page) {
@@ -404,10 +1323,215 @@ export class Crawler extends EventEmitter {
     }
   }
 
+  /**
+   * Give a page of a shared context the settings its context lacks
+   */
+  async _preparePage(page) {
+    if (this.pageOptions) {
+      await applyPageOptions(page, this.pageOptions);
+    }
+  }
+
+  /**
+   * Open a page and capture it, retrying per the retry policy
+   *
+   * Retryable statuses (429, 503...) count as failures so they get retried,
+   * the page of a failed attempt is closed before the next one.
+   */
+  async _navigate(url) {
+    return withRetry(
+      async attempt => {
+        const page = await this.context.newPage();
+        const options = this._getPageOptions(url);
+
+        try {
+          await this._preparePage(page);
+          const capture = new PageCapture(page, {
+            wait: options.wait,
+            waitTime: options.waitTime,
+            timeout: options.timeout,
+            screenshot: options.screenshot,
+            pdf: options.pdf,
+            mimeInclude: options.mimeInclude,
+            mimeExclude: options.mimeExclude,
+            maxSize: options.maxSize,
+            minSize: options.minSize,
+            scroll: options.scroll,
+            scrollWait: options.scrollWait,
+            scrollStep: options.scrollStep,
+            scrollDelay: options.scrollDelay,
+            scrollBehavior: options.scrollBehavior,
+            revealAll: options.revealAll,
+            reducedMotion: options.reducedMotion,
+            spa: options.spa,
+            spaClicks: options.spaClicks,
+            // Sandbox loads keep to the host delay and Crawl-delay
+            throttle: pageUrl => this.queue.throttle(pageUrl),
+            preparePage: sandbox => this._preparePage(sandbox),
+            recordApi: Boolean(this.replay),
+            keepRawResponse: Boolean(this.warc),
+            plugins: this.plugins,
+          });
+
+          const result = await capture.capture(url);
+          this._reportResponse(url, result.status, result.headers);
+
+          if (this.retryPolicy.retryOn.includes(result.status)) {
+            throw new HttpError(result.status, '', result.headers);
+          }
+
+          return {page, result, attempts: attempt};
+        } catch (error) {
+          await page.close();
+          throw error;
+        }
+      },
+      this.retryPolicy,
+      {onRetry: info => this._logRetry(url, info)},
+    );
+  }
+
+  /**
+   * Capture options for a page, with matching per-URL overrides applied
+   *
+   * Overrides apply in order, so later matches win.
+   */
+  _getPageOptions(url) {
+    const options = {...this.options};
+
+    for (const {match, ...override} of this.options.overrides || []) {
+      if (this.filter.matchesPattern(url, [].concat(match))) {
+        Object.assign(options, override);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Run captured resources through the transformResource plugin hook
+   */
+  async _transformResources(resources) {
+    if (!this.plugins.has('transformResource')) return resources;
+
+    const transformed = new Map();
+    for (const [resourceUrl, resource] of resources) {
+      const result = await this.plugins.transform(
+        'transformResource',
+        resource,
+      );
+      if (result) transformed.set(resourceUrl, result);
+    }
+    return transformed;
+  }
+
+  /**
+   * Check if a navigation landed on the login recipe's page
+   */
+  _redirectedToLogin(navigation, url) {
+    if (!this.loginRecipe) return false;
+    return isLoginRedirect(this.loginRecipe, navigation.result.url, url);
+  }
+
+  /**
+   * Let the scheduler slow down hosts that answer 429/503
+   */
+  _reportResponse(url, status, headers = {}) {
+    if (!status) return;
+    this.queue.reportResponse(
+      url,
+      status,
+      parseRetryAfter(headers['retry-after']),
+    );
+  }
+
+  /**
+   * Log a retried page or resource
+   *
+   * The failing response was already reported to the scheduler where it
+   * was received.
+   */
+  _logRetry(url, {attempt, delay, error}) {
+    this.logger.debug(
+      `Retrying ${url} in ${delay}ms (attempt ${attempt + 1}): ${error.message}`,
+    );
+    this.emit('retry', {url, attempt, delay, error});
+  }
+
+  /**
+   * Discover a page's links and assets for --dry-run without saving anything
+   */
+  async _planPage(url, remainingDepth) {
+    let response = null;
+
+    try {
+      response = await this.request.get(url, {
+        timeout: this.options.timeout || 30000,
+      });
+
+      const status = response.status();
+      const headers = response.headers();
+      this._reportResponse(url, status, headers);
+      const contentType = headers['content-type'] || '';
+      const html = contentType.includes('html') ? await response.text() : '';
+      const links = html
+        ? extractLinksFromHtml(html, response.url())
+        : {pages: [], assets: []};
+      const assets = links.assets.filter(asset =>
+        this.filter.shouldDownloadAsset(asset),
+      );
+      const directives = this.robots.getPageDirectives(headers, html);
+
+      if (directives.noindex) {
+        this.plan.addSkipped(url, 'noindex');
+      } else {
+        this.plan.addPage(url, {remainingDepth, status, contentType, assets});
+        this.emit('page:planned', {url, status, assets: assets.length});
+      }
+
+      if (!directives.nofollow) {
+        await this._crawlLinks(
+          links.pages,
+          remainingDepth,
+          this.levels.get(url),
+        );
+      }
+    } catch (error) {
+      this.plan.addSkipped(url, 'error');
+      this.emit('error', {url, error});
+    } finally {
+      await response?.dispose();
+    }
+  }
+
+  /**
+   * Follow page links found on a captured page
+   */
+  async _crawlLinks(links, remainingDepth, level) {
+    if (remainingDepth <= 0) {
+      // Report links the depth limit keeps out of the crawl
+      if (this.plan) {
+        for (const link of links) {
+          const url = normalizeUrl(link);
+          if (isLikelyPage(link) && !this.visited.has(url)) {
+            this.plan.addSkipped(url, 'depth');
+          }
+        }
+      }
+      return;
+    }
+
+    for (const link of links) {
+      if (isLikelyPage(link)) {
+        await this._crawl(link, remainingDepth - 1, level + 1);
+      }
+    }
+  }
+
   /**
    * Rewrite URLs in CSS files to point to local files
    */
-  async _rewriteCssFiles(resources, urlMap) {
+  async _rewriteCssFiles(pageUrl, resources, urlMap) {
     const {joinPath, sanitizePath} = await import('./utils/path.js');
 
     for (const [resourceUrl, resource] of resources) {
@@ -445,16 +1569,37 @@ export class Crawler extends EventEmitter {
           await fs.writeFile(cssLocalPath, rewrittenCss, 'utf8');
         }
       } catch (error) {
-        // Ignore CSS rewriting errors
+        // Keep going, the stylesheet still works with its original URLs
         this.logger.debug(
           `Failed to rewrite CSS ${resourceUrl}:`,
           error.message,
         );
+        addErrorToManifest(this.manifest, resourceUrl, error, {
+          page: pageUrl,
+          phase: 'rewrite',
+        });
       }
     }
   }
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Seed URLs with their depth, from `seeds` or the single `url`
+ *
+ * Duplicate seeds keep the largest depth.
+ */
+function getSeeds(options) {
+  const seeds = new Map();
+
+  for (const seed of options.seeds || [{url: options.url}]) {
+    const url = normalizeUrl(seed.url);
+    const depth = seed.depth ?? options.depth ?? 0;
+    seeds.set(url, Math.max(seeds.get(url) ?? 0, depth));
+  }
+
+  if (seeds.size === 0) {
+    throw new Error('No URL to capture');
+  }
+
+  return [...seeds].map(([url, depth]) => ({url, depth}));
 }
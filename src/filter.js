@@ -6,7 +6,8 @@ import {isInScope} from './utils/url.js';
  */
 export class Filter {
   constructor(options = {}) {
-    this.baseUrl = options.baseUrl;
+    // A URL is in scope if it is in the scope of any seed
+    this.baseUrls = options.baseUrls || [options.baseUrl];
     this.scope = options.scope || 'domain';
     this.stayInDir = options.stayInDir || false;
     this.externalAssets = options.externalAssets || false;
@@ -22,26 +23,36 @@ export class Filter {
    * Check if a URL should be followed (for crawling)
    */
   shouldFollow(url) {
+    return this.getRejectReason(url) === null;
+  }
+
+  /**
+   * Explain why a URL would not be followed: scope, exclude, include or null
+   */
+  getRejectReason(url) {
     // Check scope
-    if (!isInScope(url, this.baseUrl, this.scope, this.stayInDir)) {
-      return false;
+    const inScope = this.baseUrls.some(baseUrl =>
+      isInScope(url, baseUrl, this.scope, this.stayInDir),
+    );
+    if (!inScope) {
+      return 'scope';
     }
 
     // Check exclude patterns first (higher priority)
     if (this.exclude.length > 0) {
       if (this.matchesPattern(url, this.exclude)) {
-        return false;
+        return 'exclude';
       }
     }
 
     // Check include patterns
     if (this.include.length > 0) {
       if (!this.matchesPattern(url, this.include)) {
-        return false;
+        return 'include';
       }
     }
 
-    return true;
+    return null;
   }
 
   /**
@@ -0,0 +1,142 @@
+// @flow
+import fs from 'fs-extra';
+import {harEntryToExchange} from './warc.js';
+
+// Path prefix of proxy-style replay URLs: /_replay/https://host/path
+export const REPLAY_PREFIX = '/_replay/';
+
+// Describe the original connection or encoding, not the body we send, or
+// would set cookies and script policies for the replay server's origin
+const SKIPPED_HEADERS = new Set([
+  'connection',
+  'content-encoding',
+  'content-length',
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'keep-alive',
+  'set-cookie',
+  'transfer-encoding',
+]);
+
+/**
+ * Recorded responses of a HAR file, looked up by method and URL
+ */
+export class HarArchive {
+  constructor(entries = []) {
+    this.exchanges = new Map(); // "METHOD url" -> [exchange]
+
+    for (const entry of entries) {
+      const exchange = harEntryToExchange(entry);
+      if (!exchange) continue;
+
+      exchange.headers = getReplayHeaders(entry.response.headers);
+      const key = getKey(exchange.method, exchange.url);
+      if (!this.exchanges.has(key)) this.exchanges.set(key, []);
+      this.exchanges.get(key).push(exchange);
+    }
+  }
+
+  /**
+   * Load a HAR file, such as .smippo/network.har
+   */
+  static async load(harPath) {
+    if (!(await fs.pathExists(harPath))) {
+      throw new Error(
+        `No HAR file found at ${harPath}. Capture with --har to replay.`,
+      );
+    }
+    const har = await fs.readJson(harPath);
+    return new HarArchive(har.log?.entries || []);
+  }
+
+  get size() {
+    let size = 0;
+    for (const exchanges of this.exchanges.values()) size += exchanges.length;
+    return size;
+  }
+
+  /**
+   * URL of the first HTML page answered with 200, where replay starts
+   */
+  get rootUrl() {
+    for (const [exchange] of this.exchanges.values()) {
+      const type = exchange.headers['content-type'] || '';
+      if (exchange.status === 200 && String(type).includes('text/html')) {
+        return exchange.url;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the response to a request
+   *
+   * Prefers a recording with the same request body. HEAD requests are
+   * answered from GET recordings.
+   */
+  find({method = 'GET', url, body = null}) {
+    method = method.toUpperCase();
+    const candidates =
+      this.exchanges.get(getKey(method, url)) ||
+      (method === 'HEAD' ? this.exchanges.get(getKey('GET', url)) : null);
+    if (!candidates) return null;
+
+    return (
+      candidates.find(exchange => (exchange.requestBody ?? null) === body) ||
+      candidates[0]
+    );
+  }
+}
+
+/**
+ * Original URL of a /_replay/ request path, null for other paths
+ */
+export function getReplayTarget(requestUrl) {
+  if (!requestUrl.startsWith(REPLAY_PREFIX)) return null;
+
+  // Some clients collapse the double slash: /_replay/https:/host/path
+  const target = requestUrl
+    .slice(REPLAY_PREFIX.length)
+    .replace(/^(https?:)\/*/i, '$1//');
+  return /^https?:\/\/[^/]/i.test(target) ? target : null;
+}
+
+/**
+ * Point a recorded redirect back into /_replay/
+ */
+export function toReplayLocation(location, baseUrl) {
+  try {
+    return REPLAY_PREFIX + new URL(location, baseUrl).href;
+  } catch {
+    return location;
+  }
+}
+
+/**
+ * Response headers to send again, repeated headers (e.g. link) as arrays
+ */
+function getReplayHeaders(headers = []) {
+  const result = {};
+  for (const {name, value} of headers) {
+    const key = name.toLowerCase();
+    // Skip HTTP/2 pseudo headers like :status
+    if (key.startsWith(':') || SKIPPED_HEADERS.has(key)) continue;
+
+    if (key in result) {
+      result[key] = [].concat(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function getKey(method, url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return `${method.toUpperCase()} ${parsed.href}`;
+  } catch {
+    return `${method.toUpperCase()} ${url}`;
+  }
+}
@@ -9,8 +9,21 @@ export {Crawler} from './crawler.js';
 export {PageCapture} from './page-capture.js';
 export {ResourceSaver} from './resource-saver.js';
 export {Filter, createFilter} from './filter.js';
+export {CrawlPlan} from './plan.js';
+export {HostScheduler} from './scheduler.js';
 export {RobotsHandler} from './robots.js';
-export {extractLinks, extractCssUrls} from './link-extractor.js';
+export {PluginManager, loadPlugins} from './plugins.js';
+export {
+  ReplayRecorder,
+  readReplayIndex,
+  findReplay,
+  injectReplayShim,
+} from './replay.js';
+export {
+  extractLinks,
+  extractLinksFromHtml,
+  extractCssUrls,
+} from './link-extractor.js';
 export {rewriteLinks, rewriteCssUrls} from './link-rewriter.js';
 export {
   createManifest,
@@ -18,8 +31,16 @@ export {
   writeManifest,
   readCache,
   writeCache,
+  readCrawlState,
   manifestExists,
+  getFailedPages,
 } from './manifest.js';
+export {
+  createCache,
+  recordValidators,
+  getConditionalHeaders,
+  isUnchanged,
+} from './cache.js';
 export {
   normalizeUrl,
   resolveUrl,
@@ -31,6 +52,10 @@ export {
   isAsset,
 } from './utils/url.js';
 export {createServer, serve} from './server.js';
+export {HarArchive} from './har-replay.js';
+export {WarcWriter, createWacz, exportWarc} from './warc.js';
+export {exportOffline} from './offline.js';
+export {parseSitemap, loadSitemaps} from './sitemap.js';
 
 /**
  * Quick capture function for simple use cases
@@ -48,12 +48,21 @@ export function showHelp() {
   console.log(
     `  ${chalk.green('serve')} ${chalk.dim('[directory]')}    Serve captured site locally`,
   );
+  console.log(
+    `  ${chalk.green('export warc')} ${chalk.dim('[dir]')}     Export a capture as WARC/WACZ`,
+  );
+  console.log(
+    `  ${chalk.green('export offline')} ${chalk.dim('[dir]')}  Build an offline service worker bundle`,
+  );
   console.log(
     `  ${chalk.green('continue')}                Resume interrupted capture`,
   );
   console.log(
     `  ${chalk.green('update')}                  Update existing mirror`,
   );
+  console.log(
+    `  ${chalk.green('retry')} ${chalk.dim('[dir]')}             Re-capture failed pages`,
+  );
   console.log(
     `  ${chalk.green('help')}                    Show this help message`,
   );
@@ -76,6 +85,12 @@ export function showHelp() {
   console.log(
     `  ${chalk.yellow('--static')}                 Strip JS for static offline viewing`,
   );
+  console.log(
+    `  ${chalk.yellow('--replay-api')}             Record API calls and replay them when served`,
+  );
+  console.log(
+    `  ${chalk.yellow('--sitemap')}                Seed the crawl from sitemap.xml`,
+  );
   console.log('');
 
   console.log(chalk.bold.white('FILTERING'));
@@ -114,6 +129,12 @@ export function showHelp() {
   console.log(
     `  ${chalk.yellow('--device')} ${chalk.dim('<name>')}          Emulate device`,
   );
+  console.log(
+    `  ${chalk.yellow('--browser')} ${chalk.dim('<engine>')}       chromium, firefox or webkit`,
+  );
+  console.log(
+    `  ${chalk.yellow('--cdp')} ${chalk.dim('<url>')}              Attach to a running Chromium`,
+  );
   console.log('');
 
   console.log(chalk.bold.white('OUTPUT'));
@@ -130,6 +151,15 @@ export function showHelp() {
   console.log(
     `  ${chalk.yellow('--no-har')}                 Disable HAR generation`,
   );
+  console.log(
+    `  ${chalk.yellow('--single-file')}            Self-contained HTML per page`,
+  );
+  console.log(
+    `  ${chalk.yellow('--warc')}                   Write a WARC archive`,
+  );
+  console.log(
+    `  ${chalk.yellow('--wacz')}                   Package the WARC as WACZ`,
+  );
   console.log('');
 
   console.log(chalk.bold.white('PERFORMANCE'));
@@ -141,7 +171,13 @@ export function showHelp() {
     `  ${chalk.yellow('--max-pages')} ${chalk.dim('<n>')}          Maximum pages to capture`,
   );
   console.log(
-    `  ${chalk.yellow('--rate-limit')} ${chalk.dim('<ms>')}        Delay between requests`,
+    `  ${chalk.yellow('--order')} ${chalk.dim('<strategy>')}       Crawl order: bfs, dfs or priority`,
+  );
+  console.log(
+    `  ${chalk.yellow('--rate-limit')} ${chalk.dim('<ms>')}        Per-host delay between requests`,
+  );
+  console.log(
+    `  ${chalk.yellow('--retries')} ${chalk.dim('<n>')}            Retries for failed requests`,
   );
   console.log('');
 
@@ -377,6 +413,15 @@ export function shouldRunInteractive(args) {
     return false;
   }
 
+  // A config file, URL list or stdin may provide the URLs
+  if (
+    ['--config', '--profile', '--urls-file', '-'].some(arg =>
+      args.includes(arg),
+    )
+  ) {
+    return false;
+  }
+
   // Check if stdin is a TTY (interactive terminal)
   if (!process.stdin.isTTY) {
     return false;
@@ -386,7 +431,17 @@ export function shouldRunInteractive(args) {
   const hasUrlOrCommand = args.some(arg => {
     if (arg.startsWith('-')) return false;
     if (arg.startsWith('http://') || arg.startsWith('https://')) return true;
-    if (['capture', 'serve', 'continue', 'update', 'help'].includes(arg)) {
+    if (
+      [
+        'capture',
+        'serve',
+        'continue',
+        'update',
+        'retry',
+        'export',
+        'help',
+      ].includes(arg)
+    ) {
       return true;
     }
     return false;
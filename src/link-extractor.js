@@ -5,8 +5,15 @@ import {resolveUrl, isLikelyPage} from './utils/url.js';
 /**
  * Extract all links from a page
  */
-export async function extractLinks(page, baseUrl, _options = {}) {
+export async function extractLinks(page, baseUrl, options = {}) {
   const html = await page.content();
+  return extractLinksFromHtml(html, baseUrl, options);
+}
+
+/**
+ * Extract all links from an HTML document
+ */
+export function extractLinksFromHtml(html, baseUrl, _options = {}) {
   const $ = load(html);
 
   const links = new Set();
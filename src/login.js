@@ -0,0 +1,147 @@
+// @flow
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Read and validate a login recipe (.json, .yaml or .yml)
+ *
+ * A recipe looks like:
+ *
+ *   url: https://example.com/login
+ *   fields:
+ *     - selector: '#email'
+ *       env: SITE_USER
+ *     - selector: '#password'
+ *       env: SITE_PASSWORD
+ *   submit: button[type=submit]
+ *   success:
+ *     selector: .account-menu
+ *
+ * Field values come from `env` or a literal `value` (which may reference
+ * variables as `${NAME}`), so secrets never have to live in the recipe.
+ */
+export async function loadLoginRecipe(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const recipe =
+    ext === '.yaml' || ext === '.yml'
+      ? YAML.parse(content)
+      : JSON.parse(content);
+
+  if (!recipe?.url) {
+    throw new Error(`Login recipe ${filePath} is missing "url"`);
+  }
+  if (!Array.isArray(recipe.fields) || recipe.fields.length === 0) {
+    throw new Error(`Login recipe ${filePath} needs at least one field`);
+  }
+  for (const field of recipe.fields) {
+    if (!field.selector) {
+      throw new Error(`Login recipe ${filePath} has a field without selector`);
+    }
+  }
+
+  return recipe;
+}
+
+/**
+ * Resolve a field value from the environment
+ */
+export function resolveFieldValue(field, env = process.env) {
+  if (field.env) {
+    if (env[field.env] === undefined) {
+      throw new Error(`Environment variable ${field.env} is not set`);
+    }
+    return env[field.env];
+  }
+
+  return String(field.value ?? '').replace(/\$\{(\w+)\}/g, (_match, name) => {
+    if (env[name] === undefined) {
+      throw new Error(`Environment variable ${name} is not set`);
+    }
+    return env[name];
+  });
+}
+
+/**
+ * Run a login recipe in a browser context
+ *
+ * Cookies and storage set by the login stay in the context for the crawl.
+ */
+export async function performLogin(context, recipe, options = {}) {
+  const timeout = recipe.timeout || options.timeout || 30000;
+  const page = await context.newPage();
+
+  try {
+    await page.goto(recipe.url, {timeout, waitUntil: 'domcontentloaded'});
+
+    for (const field of recipe.fields) {
+      const value = resolveFieldValue(field);
+      if (field.type === 'check') {
+        await page.setChecked(field.selector, value !== 'false', {timeout});
+      } else if (field.type === 'select') {
+        await page.selectOption(field.selector, value, {timeout});
+      } else {
+        await page.fill(field.selector, value, {timeout});
+      }
+    }
+
+    // Submit by clicking a button, or by pressing Enter in the last field
+    const lastField = recipe.fields[recipe.fields.length - 1];
+    if (recipe.submit) {
+      await page.click(recipe.submit, {timeout});
+    } else {
+      await page.press(lastField.selector, 'Enter', {timeout});
+    }
+
+    try {
+      await waitForSuccess(page, recipe, timeout);
+    } catch {
+      throw new Error(`Login did not succeed (still on ${page.url()})`);
+    }
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Check if a navigation to `requestedUrl` ended up on the login page
+ */
+export function isLoginRedirect(recipe, finalUrl, requestedUrl) {
+  const login = pageKey(recipe.url);
+  return pageKey(finalUrl) === login && pageKey(requestedUrl) !== login;
+}
+
+/**
+ * Wait for the recipe's success condition
+ */
+async function waitForSuccess(page, recipe, timeout) {
+  const {success = {}} = recipe;
+
+  if (success.url) {
+    await page.waitForURL(success.url, {timeout});
+  }
+  if (success.selector) {
+    await page.waitForSelector(success.selector, {timeout});
+  }
+
+  if (!success.url && !success.selector) {
+    // Without a condition, leaving the login page counts as success
+    const login = pageKey(recipe.url);
+    await page.waitForURL(url => pageKey(url.href) !== login, {timeout});
+  }
+
+  await page.waitForLoadState('networkidle', {timeout}).catch(() => {});
+}
+
+/**
+ * Reduce a URL to origin + path for comparing pages
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}`;
+  } catch {
+    return url;
+  }
+}
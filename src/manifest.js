@@ -1,9 +1,37 @@
 import fs from 'fs-extra';
 import path from 'path';
+import {createCache} from './cache.js';
+import {resolvePluginSpec} from './plugins.js';
 
 const SMIPPO_DIR = '.smippo';
 const MANIFEST_FILE = 'manifest.json';
 const CACHE_FILE = 'cache.json';
+const STATE_FILE = 'state.json';
+
+// Crawler options that belong to one run, not to the capture's settings
+const RUNTIME_OPTIONS = [
+  'url',
+  'output',
+  'spinner',
+  'config',
+  'useCache',
+  'resume',
+  'update',
+  'retryUrls',
+  'dryRun',
+  'captureAuth',
+  'verbose',
+  'quiet',
+  'debug',
+  'logFile',
+];
+
+// Header names whose values are credentials
+const SECRET_HEADER =
+  /^(cookie|authorization|proxy-authorization)$|token|secret|api-?key|auth/i;
+
+// Query parameters of endpoint URLs that carry credentials
+const SECRET_PARAM = /token|secret|key|auth|password/i;
 
 /**
  * Check if a manifest exists
@@ -45,15 +73,12 @@ export async function readCache(outputDir) {
   const cachePath = path.join(outputDir, SMIPPO_DIR, CACHE_FILE);
 
   if (!fs.existsSync(cachePath)) {
-    return {
-      etags: {},
-      lastModified: {},
-      contentTypes: {},
-    };
+    return createCache();
   }
 
   const content = await fs.readFile(cachePath, 'utf8');
-  return JSON.parse(content);
+  // Fill in maps that older cache files don't have
+  return {...createCache(), ...JSON.parse(content)};
 }
 
 /**
@@ -67,6 +92,47 @@ export async function writeCache(outputDir, cache) {
   await fs.writeFile(cachePath, JSON.stringify(cache, null, 2), 'utf8');
 }
 
+/**
+ * Read the crawl state checkpoint (visited set and pending frontier)
+ */
+export async function readCrawlState(outputDir) {
+  const statePath = path.join(outputDir, SMIPPO_DIR, STATE_FILE);
+
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    const content = await fs.readFile(statePath, 'utf8');
+    return JSON.parse(content);
+  } catch {
+    // A checkpoint cut off mid-write is unusable, treat it as missing
+    return null;
+  }
+}
+
+/**
+ * Write the crawl state checkpoint
+ */
+export async function writeCrawlState(outputDir, state) {
+  const smippoDir = path.join(outputDir, SMIPPO_DIR);
+  const statePath = path.join(smippoDir, STATE_FILE);
+  const tempPath = `${statePath}.tmp`;
+
+  await fs.ensureDir(smippoDir);
+  // Write to a temp file first so a killed process never leaves a torn checkpoint
+  await fs.writeFile(tempPath, JSON.stringify(state), 'utf8');
+  await fs.rename(tempPath, statePath);
+}
+
+/**
+ * Remove the crawl state checkpoint once a crawl has finished
+ */
+export async function clearCrawlState(outputDir) {
+  const statePath = path.join(outputDir, SMIPPO_DIR, STATE_FILE);
+  await fs.remove(statePath);
+}
+
 /**
  * Create initial manifest
  */
@@ -76,16 +142,8 @@ export function createManifest(url, options) {
     created: new Date().toISOString(),
     updated: new Date().toISOString(),
     rootUrl: url,
-    options: {
-      depth: options.depth,
-      scope: options.scope,
-      stayInDir: options.stayInDir,
-      externalAssets: options.externalAssets,
-      filters: {
-        include: options.include || [],
-        exclude: options.exclude || [],
-      },
-    },
+    options: getStoredOptions(options),
+    config: getStoredConfig(options.config),
     stats: {
       pagesCapt: 0,
       assetsCapt: 0,
@@ -95,51 +153,260 @@ export function createManifest(url, options) {
     },
     pages: [],
     assets: [],
+    errors: [],
   };
 }
 
+/**
+ * Crawler options to keep in the manifest for `continue` and `update`
+ *
+ * Drops per-run options, credentials in headers and endpoint URLs, and
+ * plugins that are not module references.
+ */
+export function getStoredOptions(options) {
+  const stored = {};
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined || RUNTIME_OPTIONS.includes(key)) continue;
+    stored[key] = value;
+  }
+
+  removeCredentials(stored);
+  if (stored.plugins) {
+    // Paths are stored absolute, `continue` may run from another directory
+    stored.plugins = stored.plugins
+      .filter(plugin => typeof plugin === 'string' || plugin?.module)
+      .map(plugin => resolvePluginSpec(plugin));
+  }
+
+  return stored;
+}
+
+/**
+ * Config file details to keep in the manifest, without credentials
+ */
+export function getStoredConfig(config) {
+  if (!config) return null;
+
+  const values = removeCredentials({...config.values});
+
+  return {file: config.file, profile: config.profile, values};
+}
+
+/**
+ * Crawler options of the capture a manifest belongs to
+ *
+ * Manifests written before the full option set was stored only have the
+ * scope settings, with include/exclude nested under `filters`.
+ */
+export function getCaptureOptions(manifest) {
+  const {filters, ...options} = manifest.options || {};
+
+  return {
+    include: filters?.include || [],
+    exclude: filters?.exclude || [],
+    ...options,
+  };
+}
+
+/**
+ * Drop secret headers and credentials in endpoint URLs, in place
+ */
+function removeCredentials(options) {
+  if (options.headers) options.headers = removeSecretHeaders(options.headers);
+  for (const key of ['proxy', 'connect', 'cdp']) {
+    if (options[key]) options[key] = removeUrlCredentials(options[key]);
+  }
+  return options;
+}
+
+function removeSecretHeaders(headers) {
+  const parsed = typeof headers === 'string' ? JSON.parse(headers) : headers;
+  return Object.fromEntries(
+    Object.entries(parsed).filter(([name]) => !SECRET_HEADER.test(name)),
+  );
+}
+
+function removeUrlCredentials(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+
+  const secretParams = [...url.searchParams.keys()].filter(param =>
+    SECRET_PARAM.test(param),
+  );
+  if (!url.username && !url.password && secretParams.length === 0) {
+    return value;
+  }
+
+  url.username = '';
+  url.password = '';
+  secretParams.forEach(param => url.searchParams.delete(param));
+  return url.href;
+}
+
+// Entry array (manifest.pages/assets) -> {positions: Map of URL -> index,
+// length}, so adding to a large manifest doesn't scan it
+const entryIndexes = new WeakMap();
+
+/**
+ * Find an entry's position by URL, -1 if it isn't there
+ */
+function findEntryIndex(entries, url) {
+  let index = entryIndexes.get(entries);
+  let position = index?.positions.get(url);
+
+  // Rebuild for arrays read from disk or changed outside these helpers
+  if (
+    !index ||
+    index.length !== entries.length ||
+    (position !== undefined && entries[position]?.url !== url)
+  ) {
+    index = buildEntryIndex(entries);
+    position = index.positions.get(url);
+  }
+
+  return position ?? -1;
+}
+
+/**
+ * Index entries by URL; older manifests may list a URL twice, the last
+ * entry is the one kept up to date
+ */
+function buildEntryIndex(entries) {
+  const positions = new Map();
+  entries.forEach((entry, i) => positions.set(entry.url, i));
+
+  const index = {positions, length: entries.length};
+  entryIndexes.set(entries, index);
+  return index;
+}
+
+function addEntry(entries, entry) {
+  entries.push(entry);
+  const index = entryIndexes.get(entries);
+  if (index) {
+    index.positions.set(entry.url, entries.length - 1);
+    index.length = entries.length;
+  }
+}
+
 /**
  * Update manifest with captured page
  */
 export function addPageToManifest(manifest, page) {
-  manifest.pages.push({
+  const entry = {
     url: page.url,
     localPath: page.localPath,
     status: page.status || 200,
+    attempts: page.attempts || 1,
     captured: new Date().toISOString(),
     size: page.size,
     title: page.title,
-  });
+  };
+
+  const index = findEntryIndex(manifest.pages, page.url);
+
+  if (index >= 0) {
+    // Recaptured page (update/continue), replace the previous entry
+    manifest.stats.totalSize -= manifest.pages[index].size || 0;
+    manifest.pages[index] = entry;
+  } else {
+    addEntry(manifest.pages, entry);
+    manifest.stats.pagesCapt++;
+  }
 
-  manifest.stats.pagesCapt++;
   manifest.stats.totalSize += page.size || 0;
   manifest.updated = new Date().toISOString();
+
+  return entry;
+}
+
+/**
+ * Drop pages that no longer exist from the manifest
+ */
+export function removePagesFromManifest(manifest, urls) {
+  const removed = new Set(urls);
+  if (removed.size === 0) return;
+
+  manifest.pages = manifest.pages.filter(page => {
+    if (!removed.has(page.url)) return true;
+    manifest.stats.pagesCapt--;
+    manifest.stats.totalSize -= page.size || 0;
+    return false;
+  });
+  manifest.updated = new Date().toISOString();
 }
 
 /**
  * Update manifest with captured asset
  */
 export function addAssetToManifest(manifest, asset) {
-  manifest.assets.push({
+  const entry = {
     url: asset.url,
     localPath: asset.localPath,
     mimeType: asset.mimeType,
     size: asset.size,
-  });
+  };
+
+  const index = findEntryIndex(manifest.assets, asset.url);
+
+  if (index >= 0) {
+    // Same asset saved again by another page or an update, replace it
+    manifest.stats.totalSize -= manifest.assets[index].size || 0;
+    manifest.assets[index] = entry;
+  } else {
+    addEntry(manifest.assets, entry);
+    manifest.stats.assetsCapt++;
+  }
 
-  manifest.stats.assetsCapt++;
   manifest.stats.totalSize += asset.size || 0;
   manifest.updated = new Date().toISOString();
 }
 
 /**
  * Record an error in manifest
+ *
+ * `details.phase` is one of navigation, save or rewrite. Errors for assets
+ * carry the `page` they were found on so `retry` can re-capture that page.
  */
-export function addErrorToManifest(manifest, _url, _error) {
-  manifest.stats.errors++;
+export function addErrorToManifest(manifest, url, error, details = {}) {
+  manifest.errors ||= [];
+  manifest.errors.push({
+    url,
+    page: details.page || url,
+    phase: details.phase || 'navigation',
+    status: details.status ?? error?.status ?? null,
+    attempts: details.attempts ?? error?.attempts ?? 1,
+    error: error?.name || 'Error',
+    message: error?.message || String(error),
+    timestamp: new Date().toISOString(),
+  });
+
+  manifest.stats.errors = manifest.errors.length;
   manifest.updated = new Date().toISOString();
 }
 
+/**
+ * Drop the errors recorded for a page before it is captured again
+ */
+export function clearPageErrors(manifest, pageUrl) {
+  if (!manifest.errors) return;
+
+  manifest.errors = manifest.errors.filter(e => e.page !== pageUrl);
+  manifest.stats.errors = manifest.errors.length;
+}
+
+/**
+ * Get the unique page URLs that had errors in a capture
+ */
+export function getFailedPages(manifest) {
+  return [...new Set((manifest.errors || []).map(e => e.page))];
+}
+
 /**
  * Finalize manifest with duration
  */
@@ -155,9 +422,37 @@ export function getHarPath(outputDir) {
   return path.join(outputDir, SMIPPO_DIR, 'network.har');
 }
 
+/**
+ * Get WARC file path
+ */
+export function getWarcPath(outputDir) {
+  return path.join(outputDir, SMIPPO_DIR, 'archive.warc.gz');
+}
+
+/**
+ * Get WACZ file path
+ */
+export function getWaczPath(outputDir) {
+  return path.join(outputDir, SMIPPO_DIR, 'archive.wacz');
+}
+
+/**
+ * Get saved login session (storageState) path
+ */
+export function getAuthPath(outputDir) {
+  return path.join(outputDir, SMIPPO_DIR, 'auth.json');
+}
+
 /**
  * Get log file path
  */
 export function getLogPath(outputDir) {
   return path.join(outputDir, SMIPPO_DIR, 'log.txt');
 }
+
+/**
+ * Get recorded API responses directory
+ */
+export function getReplayDir(outputDir) {
+  return path.join(outputDir, SMIPPO_DIR, 'replay');
+}
@@ -0,0 +1,267 @@
+// @flow
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import {readManifest} from './manifest.js';
+import {getRootPrefix} from './utils/path.js';
+
+export const SERVICE_WORKER_FILE = 'smippo-sw.js';
+export const PRECACHE_FILE = 'smippo-precache.json';
+
+// Files added to the cache at once while the worker installs
+const PRECACHE_BATCH = 20;
+
+// Serves the bundle from Cache Storage. Every file is cached on install,
+// requests are matched by the bundle path, by the original URL (absolute
+// links, script fetches, query strings hashed into file names) or by an
+// absolute path of an original origin. Anything else goes to the network.
+const SERVICE_WORKER = `const VERSION = __VERSION__;
+const scope = self.registration.scope;
+const scopePath = new URL(scope).pathname;
+const CACHE_PREFIX = 'smippo:' + scope + ':';
+const CACHE = CACHE_PREFIX + VERSION;
+const PRECACHE_URL = new URL(__PRECACHE_FILE__, scope).href;
+const BATCH = __BATCH__;
+let bundle = null;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      const response = await fetch(PRECACHE_URL + '?v=' + VERSION, {
+        cache: 'no-cache',
+      });
+      await cache.put(PRECACHE_URL, response.clone());
+      const {files} = await response.json();
+      for (let i = 0; i < files.length; i += BATCH) {
+        await cache.addAll(
+          files.slice(i, i + BATCH).map(file => new URL(file.path, scope).href),
+        );
+      }
+      await self.skipWaiting();
+    })(),
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    (async () => {
+      for (const key of await caches.keys()) {
+        if (key.startsWith(CACHE_PREFIX) && key !== CACHE) {
+          await caches.delete(key);
+        }
+      }
+      await self.clients.claim();
+    })(),
+  );
+});
+
+self.addEventListener('fetch', event => {
+  if (event.request.method !== 'GET') return;
+  event.respondWith(respond(event.request));
+});
+
+async function respond(request) {
+  const cache = await caches.open(CACHE);
+  const file = findFile(await loadBundle(cache), request.url);
+  const cached = file && (await cache.match(new URL(file.path, scope).href));
+  return cached || fetch(request);
+}
+
+async function loadBundle(cache) {
+  if (bundle) return bundle;
+
+  const response = await cache.match(PRECACHE_URL);
+  if (!response) return {origins: [], byUrl: new Map(), byPath: new Map()};
+
+  const {origins, files} = await response.json();
+  bundle = {origins, byUrl: new Map(), byPath: new Map()};
+  for (const file of files) {
+    bundle.byPath.set(decodeURIComponent(file.path), file);
+    if (file.url) bundle.byUrl.set(file.url, file);
+  }
+  return bundle;
+}
+
+function findFile(bundle, href) {
+  const url = new URL(href);
+  url.hash = '';
+
+  const original = bundle.byUrl.get(url.href);
+  if (original) return original;
+  if (url.origin !== self.location.origin) return null;
+
+  if (url.pathname.startsWith(scopePath)) {
+    let relative = decodeURIComponent(url.pathname.slice(scopePath.length));
+    if (relative === '' || relative.endsWith('/')) relative += 'index.html';
+
+    if (!url.search && bundle.byPath.has(relative)) {
+      return bundle.byPath.get(relative);
+    }
+
+    // A host directory plus path, as saved by the original structure
+    const host = bundle.byUrl.get('https://' + relative + url.search) ||
+      bundle.byUrl.get('http://' + relative + url.search);
+    if (host) return host;
+  }
+
+  // Absolute paths written by the original site's scripts
+  for (const origin of bundle.origins) {
+    const file = bundle.byUrl.get(origin + url.pathname + url.search);
+    if (file) return file;
+  }
+
+  return null;
+}
+`;
+
+/**
+ * Build a service worker bundle of a capture that works offline
+ *
+ * Copies the capture (without .smippo/) to `options.output`, registers
+ * smippo-sw.js from every HTML page and writes smippo-precache.json with
+ * each file's path, original URL and revision. Once a page has been opened
+ * over HTTP(S), the whole mirror is cached and served by the worker, from
+ * whatever path it is hosted at. Resolves to {bundleDir, files, bytes}.
+ */
+export async function exportOffline(outputDir, options = {}) {
+  const manifest = await readManifest(outputDir);
+  if (!manifest) {
+    throw new Error(`No capture found in ${outputDir}`);
+  }
+
+  const sourceDir = path.resolve(outputDir);
+  const bundleDir = path.resolve(options.output || `${sourceDir}-offline`);
+  await prepareBundleDir(sourceDir, bundleDir);
+
+  const smippoDir = path.join(sourceDir, '.smippo');
+  await fs.copy(sourceDir, bundleDir, {
+    filter: src => src !== smippoDir,
+  });
+
+  // Bundle path -> original URL
+  const urls = new Map();
+  for (const entry of [...manifest.pages, ...manifest.assets]) {
+    if (entry.localPath) urls.set(toPosix(entry.localPath), entry.url);
+  }
+
+  const files = [];
+  let bytes = 0;
+  for (const filePath of await listFiles(bundleDir)) {
+    const relative = toPosix(path.relative(bundleDir, filePath));
+    let content = await fs.readFile(filePath);
+
+    if (/\.html?$/i.test(relative)) {
+      content = Buffer.from(
+        injectServiceWorker(content.toString('utf8'), relative),
+        'utf8',
+      );
+      await fs.writeFile(filePath, content);
+    }
+
+    const url = urls.get(relative);
+    files.push({
+      path: relative.split('/').map(encodeURIComponent).join('/'),
+      url: url ? normalizeHref(url) : null,
+      revision: hash(content),
+    });
+    bytes += content.length;
+  }
+
+  const origins = [
+    ...new Set(
+      files.filter(file => file.url).map(file => new URL(file.url).origin),
+    ),
+  ];
+  const version = hash(
+    files.map(file => `${file.path} ${file.revision}`).join('\n'),
+  );
+
+  await fs.writeJson(
+    path.join(bundleDir, PRECACHE_FILE),
+    {version, rootUrl: manifest.rootUrl, origins, files},
+    {spaces: 2},
+  );
+  await fs.writeFile(
+    path.join(bundleDir, SERVICE_WORKER_FILE),
+    SERVICE_WORKER.replace('__VERSION__', JSON.stringify(version))
+      .replace('__PRECACHE_FILE__', JSON.stringify(PRECACHE_FILE))
+      .replace('__BATCH__', String(PRECACHE_BATCH)),
+  );
+
+  return {bundleDir, files: files.length, bytes};
+}
+
+/**
+ * Add the service worker registration to a page
+ *
+ * `pagePath` is the page's path inside the bundle, the worker sits at the
+ * bundle root so its scope covers every page.
+ */
+export function injectServiceWorker(html, pagePath) {
+  if (html.includes('data-smippo-sw')) return html;
+
+  const workerUrl = JSON.stringify(
+    getRootPrefix(pagePath) + SERVICE_WORKER_FILE,
+  );
+  const tag = `<script data-smippo-sw>if ('serviceWorker' in navigator) navigator.serviceWorker.register(${workerUrl}).catch(function () {});</script>`;
+
+  const headEnd = html.search(/<\/head>/i);
+  if (headEnd !== -1) {
+    return html.slice(0, headEnd) + tag + html.slice(headEnd);
+  }
+  return html + tag;
+}
+
+/**
+ * Refuse to write into a directory that isn't empty or an earlier bundle
+ */
+async function prepareBundleDir(sourceDir, bundleDir) {
+  if (bundleDir === sourceDir || bundleDir.startsWith(sourceDir + path.sep)) {
+    throw new Error('The offline bundle must be written outside the capture');
+  }
+  if (!(await fs.pathExists(bundleDir))) return;
+
+  const entries = await fs.readdir(bundleDir);
+  if (entries.length === 0) return;
+
+  if (!entries.includes(SERVICE_WORKER_FILE)) {
+    throw new Error(
+      `${bundleDir} is not empty and not an offline bundle, choose another --out`,
+    );
+  }
+
+  // Replace an earlier export so removed files don't linger in the precache
+  await fs.emptyDir(bundleDir);
+}
+
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, {withFileTypes: true})) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(entryPath)));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+function normalizeHref(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function hash(content) {
+  return crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+}
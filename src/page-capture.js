@@ -1,10 +1,14 @@
 // @flow
 import {extractLinks} from './link-extractor.js';
+import {discoverSpaRoutes} from './spa-discovery.js';
 import {
   shouldExcludeUrl,
   getExcludeReason,
 } from './filters/exclude-patterns.js';
 
+// Request types recorded for offline replay (--replay-api)
+const API_TYPES = ['xhr', 'fetch'];
+
 /**
  * Capture a single page with all its rendered content
  * Uses best-in-class techniques including accessibility features,
@@ -16,6 +20,7 @@ export class PageCapture {
     this.options = options;
     this.resources = new Map();
     this.excludedResources = new Map(); // Track what was excluded and why
+    this.apiCalls = [];
   }
 
   /**
@@ -35,9 +40,12 @@ export class PageCapture {
       await this.page.emulateMedia({reducedMotion: 'reduce'});
     }
 
+    await this.options.plugins?.run('beforeNavigate', this.page, url);
+
     // Navigate to the page
+    let response = null;
     try {
-      await this.page.goto(url, {
+      response = await this.page.goto(url, {
         waitUntil: this.options.wait || 'networkidle',
         timeout: this.options.timeout || 30000,
       });
@@ -82,6 +90,8 @@ export class PageCapture {
     // Step 6: Force reveal any remaining hidden elements
     await this._forceRevealHiddenElements();
 
+    await this.options.plugins?.run('afterLoad', this.page, url);
+
     // Get the rendered HTML
     const html = await this.page.content();
 
@@ -92,6 +102,12 @@ export class PageCapture {
     // Extract links from the rendered page
     const links = await extractLinks(this.page, finalUrl, this.options);
 
+    // Single-page apps: add routes only reachable through script navigation
+    if (this.options.spa) {
+      links.routes = await this._discoverRoutes(finalUrl);
+      links.pages = [...new Set([...links.pages, ...links.routes])];
+    }
+
     // Take screenshot if requested
     let screenshot = null;
     if (this.options.screenshot) {
@@ -110,14 +126,29 @@ export class PageCapture {
       });
     }
 
+    // Keep the raw document response for archive formats like WARC
+    let rawResponse = null;
+    if (this.options.keepRawResponse && response) {
+      rawResponse = {
+        method: response.request().method(),
+        requestHeaders: response.request().headers(),
+        statusText: response.statusText(),
+        body: await response.body().catch(() => null),
+      };
+    }
+
     return {
       url: finalUrl,
       requestedUrl: url,
+      status: response?.status() ?? null,
+      headers: response?.headers() ?? {},
+      rawResponse,
       html,
       title,
       links,
       resources: this.resources,
       excludedResources: this.excludedResources,
+      apiCalls: this.apiCalls,
       screenshot,
       pdf,
       duration: Date.now() - startTime,
@@ -134,6 +165,13 @@ export class PageCapture {
       const headers = response.headers();
       const contentType = headers['content-type'] || '';
 
+      if (
+        this.options.recordApi &&
+        API_TYPES.includes(response.request().resourceType())
+      ) {
+        await this._recordApiCall(response, contentType);
+      }
+
       // Skip failed requests
       if (status < 200 || status >= 400) return;
 
@@ -174,16 +212,44 @@ export class PageCapture {
       this.resources.set(url, {
         url,
         status,
+        statusText: response.statusText(),
         contentType,
         size: body.length,
         body,
         headers,
+        method: response.request().method(),
+        requestHeaders: response.request().headers(),
       });
     } catch (error) {
       // Ignore resource collection errors
     }
   }
 
+  /**
+   * Keep an XHR/fetch exchange, error statuses included, for offline replay
+   */
+  async _recordApiCall(response, contentType) {
+    const url = response.url();
+    const status = response.status();
+
+    // Redirects have no body, the request they lead to is recorded instead
+    if (status >= 300 && status < 400) return;
+    if (url.startsWith('data:') || shouldExcludeUrl(url)) return;
+
+    const body = await response.body().catch(() => null);
+    if (!body) return;
+
+    const request = response.request();
+    this.apiCalls.push({
+      method: request.method(),
+      url,
+      requestBody: request.postData(),
+      status,
+      contentType,
+      body,
+    });
+  }
+
   /**
    * Check if a content type matches a filter pattern
    */
@@ -199,6 +265,24 @@ export class PageCapture {
     });
   }
 
+  /**
+   * Discover client-side routes in a sandbox page, see discoverSpaRoutes
+   */
+  async _discoverRoutes(url) {
+    try {
+      return await discoverSpaRoutes(this.page.context(), url, {
+        wait: this.options.wait === 'networkidle' ? 'networkidle' : 'load',
+        timeout: this.options.timeout || 30000,
+        maxClicks: this.options.spaClicks,
+        throttle: this.options.throttle,
+        preparePage: this.options.preparePage,
+      });
+    } catch {
+      // Discovery is best effort, the page itself is already captured
+      return [];
+    }
+  }
+
   /**
    * Wait for network to be truly idle (no pending requests for a period)
    */
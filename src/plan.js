@@ -0,0 +1,76 @@
+// @flow
+
+/**
+ * Crawl plan collected by --dry-run
+ *
+ * Records the pages a capture would save, the URLs it would skip (with the
+ * reason) and the assets referenced by the planned pages.
+ */
+export class CrawlPlan {
+  constructor(rootUrl, options = {}) {
+    this.rootUrl = rootUrl;
+    this.depth = options.depth || 0;
+    this.pages = new Map(); // URL -> {url, depth, status, contentType, assets}
+    this.skipped = new Map(); // URL -> reason
+    this.assets = new Set();
+  }
+
+  /**
+   * Record a page that would be captured
+   */
+  addPage(url, details = {}) {
+    const assets = details.assets || [];
+    for (const asset of assets) {
+      this.assets.add(asset);
+    }
+
+    this.skipped.delete(url);
+    this.pages.set(url, {
+      url,
+      depth: this.depth - (details.remainingDepth ?? this.depth),
+      status: details.status ?? null,
+      contentType: details.contentType || null,
+      assets: assets.length,
+    });
+  }
+
+  /**
+   * Record a URL that would not be captured
+   *
+   * The first reason wins. A URL skipped for depth on one page may still be
+   * reached from another, planned pages are never listed as skipped.
+   */
+  addSkipped(url, reason) {
+    if (this.pages.has(url) || this.skipped.has(url)) return;
+    this.skipped.set(url, reason);
+  }
+
+  /**
+   * Count skipped URLs by reason
+   */
+  getSkippedCounts() {
+    const counts = {};
+    for (const reason of this.skipped.values()) {
+      counts[reason] = (counts[reason] || 0) + 1;
+    }
+    return counts;
+  }
+
+  toJSON() {
+    const pages = [...this.pages.values()];
+    const skipped = [...this.skipped].map(([url, reason]) => ({url, reason}));
+
+    return {
+      rootUrl: this.rootUrl,
+      depth: this.depth,
+      summary: {
+        pages: pages.length,
+        assets: this.assets.size,
+        skipped: skipped.length,
+        skippedByReason: this.getSkippedCounts(),
+      },
+      pages,
+      skipped,
+    };
+  }
+}
@@ -0,0 +1,143 @@
+// @flow
+import path from 'path';
+import {pathToFileURL} from 'url';
+
+/**
+ * Hooks a plugin can implement
+ *
+ *   beforeNavigate(page, url)  before the page is loaded
+ *   afterLoad(page, url)       after loading, scrolling and revealing
+ *   transformHtml(html, url)   rendered HTML, before assets and links are
+ *                              resolved; return the new HTML
+ *   shouldFollow(url)          return false to keep a URL out of the crawl
+ *   transformResource(res)     a captured asset before it is saved; return
+ *                              the changed resource, or null to drop it
+ *   afterSave(entry)           after a page is written, with its manifest
+ *                              entry
+ */
+export const HOOKS = [
+  'beforeNavigate',
+  'afterLoad',
+  'transformHtml',
+  'shouldFollow',
+  'transformResource',
+  'afterSave',
+];
+
+/**
+ * Runs plugin hooks in the order the plugins were given
+ */
+export class PluginManager {
+  constructor(plugins = []) {
+    this.plugins = plugins;
+  }
+
+  /**
+   * Check if any plugin implements a hook
+   */
+  has(hook) {
+    return this.plugins.some(plugin => typeof plugin[hook] === 'function');
+  }
+
+  /**
+   * Call a hook on every plugin
+   */
+  async run(hook, ...args) {
+    for (const plugin of this._implementing(hook)) {
+      await plugin[hook](...args);
+    }
+  }
+
+  /**
+   * Pass a value through every plugin's hook
+   *
+   * A hook returning undefined keeps the value, any other result replaces
+   * it. Stops early once the value is null (dropped).
+   */
+  async transform(hook, value, ...args) {
+    for (const plugin of this._implementing(hook)) {
+      if (value === null) break;
+      const result = await plugin[hook](value, ...args);
+      if (result !== undefined) value = result;
+    }
+    return value;
+  }
+
+  /**
+   * Check that no plugin's hook returns false
+   */
+  async every(hook, ...args) {
+    for (const plugin of this._implementing(hook)) {
+      if ((await plugin[hook](...args)) === false) return false;
+    }
+    return true;
+  }
+
+  _implementing(hook) {
+    return this.plugins.filter(plugin => typeof plugin[hook] === 'function');
+  }
+}
+
+/**
+ * Load plugins from module paths, package names or plugin objects
+ *
+ * A module's default export is either a plugin object or a factory called
+ * with the spec's options. A spec can be a string, an object with hooks, or
+ * {module, options}. Relative paths resolve from `cwd`.
+ */
+export async function loadPlugins(specs = [], options = {}) {
+  const {cwd = process.cwd()} = options;
+  const plugins = [];
+
+  for (const spec of specs) {
+    plugins.push(await loadPlugin(spec, cwd));
+  }
+
+  return new PluginManager(plugins);
+}
+
+async function loadPlugin(spec, cwd) {
+  if (typeof spec === 'function') return spec();
+  if (typeof spec !== 'string' && !spec?.module) return spec;
+
+  const {module: name, options = {}} =
+    typeof spec === 'string' ? {module: spec} : spec;
+
+  const specifier = isPluginPath(name)
+    ? pathToFileURL(path.resolve(cwd, name)).href
+    : name;
+
+  let exported;
+  try {
+    const loaded = await import(specifier);
+    exported = loaded.default ?? loaded;
+  } catch (error) {
+    throw new Error(`Could not load plugin ${name}: ${error.message}`);
+  }
+
+  const plugin =
+    typeof exported === 'function' ? await exported(options) : exported;
+
+  if (!plugin || !HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+    throw new Error(`Plugin ${name} implements none of: ${HOOKS.join(', ')}`);
+  }
+
+  return plugin;
+}
+
+/**
+ * Make a path spec absolute so it loads the same module from any directory
+ */
+export function resolvePluginSpec(spec, cwd = process.cwd()) {
+  if (typeof spec === 'string') {
+    return isPluginPath(spec) ? path.resolve(cwd, spec) : spec;
+  }
+  if (spec?.module && isPluginPath(spec.module)) {
+    return {...spec, module: path.resolve(cwd, spec.module)};
+  }
+  return spec;
+}
+
+function isPluginPath(name) {
+  return name.startsWith('.') || name.startsWith('/') || path.isAbsolute(name);
+}
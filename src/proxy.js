@@ -0,0 +1,154 @@
+// @flow
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import {readManifest} from './manifest.js';
+import {normalizeUrl} from './utils/url.js';
+
+// What `smippo serve --proxy` answers for URLs that weren't captured
+export const PROXY_MISS_POLICIES = ['404', 'passthrough', 'placeholder'];
+
+// Only describe the hop between browser and proxy
+const HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)$/i;
+
+// 1x1 transparent GIF
+const PLACEHOLDER_IMAGE = Buffer.from(
+  'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+  'base64',
+);
+
+/**
+ * Map captured URLs to files from a capture's manifest
+ *
+ * Keys are normalized URLs, values absolute file paths.
+ */
+export async function loadUrlMap(rootDir) {
+  const manifest = await readManifest(rootDir);
+  if (!manifest) {
+    throw new Error(`--proxy needs a capture with a manifest: ${rootDir}`);
+  }
+
+  const urlMap = new Map();
+  for (const entry of [...manifest.pages, ...manifest.assets]) {
+    if (!entry.localPath) continue;
+    urlMap.set(normalizeUrl(entry.url), path.join(rootDir, entry.localPath));
+  }
+  return urlMap;
+}
+
+/**
+ * Find the captured file for a proxied URL
+ *
+ * A browser can only proxy plain HTTP, so http:// requests are also looked
+ * up as https:// captures.
+ */
+export function findCapturedFile(urlMap, url) {
+  const key = normalizeUrl(url);
+  if (urlMap.has(key)) return urlMap.get(key);
+
+  const other = key.startsWith('http:')
+    ? key.replace(/^http:/, 'https:')
+    : key.replace(/^https:/, 'http:');
+  return urlMap.get(other) || null;
+}
+
+/**
+ * Check that a request is in proxy (absolute URL) form
+ */
+export function isProxyRequest(req) {
+  return /^https?:\/\//i.test(req.url);
+}
+
+/**
+ * Forward a request to the live site and stream the answer back
+ *
+ * Resolves to the status sent, a malformed URL throws.
+ */
+export function passThrough(req, res) {
+  const target = new URL(req.url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise(resolve => {
+    const upstream = client.request(
+      target,
+      {method: req.method, headers: withoutHopHeaders(req.headers)},
+      response => {
+        res.writeHead(response.statusCode, withoutHopHeaders(response.headers));
+        response.pipe(res);
+        response.on('end', () => resolve(response.statusCode));
+      },
+    );
+
+    upstream.on('error', () => {
+      if (!res.headersSent) res.writeHead(502);
+      res.end('Bad Gateway');
+      resolve(502);
+    });
+
+    req.pipe(upstream);
+  });
+}
+
+/**
+ * Tunnel an HTTPS CONNECT request to the live site
+ */
+export function tunnel(req, socket, head) {
+  const [host, port = '443'] = req.url.split(':');
+  const upstream = net.connect(Number(port), host, () => {
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length > 0) upstream.write(head);
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+
+  upstream.on('error', () => socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n'));
+  socket.on('error', () => upstream.destroy());
+}
+
+/**
+ * Stand-in for a URL that wasn't captured: a transparent image, a short
+ * HTML page, or an empty body of the expected type
+ */
+export function getPlaceholder(req, mimeType) {
+  const {pathname} = new URL(req.url);
+  const accept = req.headers.accept || '';
+
+  if (IMAGE_EXTENSIONS.test(pathname) || accept.startsWith('image/')) {
+    return {contentType: 'image/gif', body: PLACEHOLDER_IMAGE};
+  }
+  if (accept.includes('text/html')) {
+    return {
+      contentType: 'text/html; charset=utf-8',
+      body: Buffer.from(
+        `<!DOCTYPE html><html><head><title>Not captured</title></head><body><p>${escapeHtml(req.url)} is not part of this capture.</p></body></html>`,
+      ),
+    };
+  }
+  return {contentType: mimeType, body: Buffer.alloc(0)};
+}
+
+function withoutHopHeaders(headers) {
+  const result = {...headers};
+  for (const name of HOP_HEADERS) delete result[name];
+  return result;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
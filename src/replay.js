@@ -0,0 +1,199 @@
+// @flow
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import {getReplayDir} from './manifest.js';
+import {getRootPrefix} from './utils/path.js';
+
+// Served pages send their API calls here, relative to the capture root
+export const REPLAY_ENDPOINT = '__smippo/replay';
+
+const INDEX_FILE = 'index.json';
+
+// Patches fetch and XMLHttpRequest to ask the replay endpoint first. URLs
+// resolve against the original page URL, so the server can look up what the
+// live site answered. fetch falls back to the network when nothing matches,
+// XHR can't (its URL is swapped in open()) and gets the endpoint's 404.
+const SHIM_SCRIPT = `(function () {
+  var pageUrl = __PAGE_URL__;
+  var endpoint = new URL(__ENDPOINT__, location.href).href;
+  function resolve(url) {
+    url = String(url);
+    if (url.indexOf(location.origin + '/') === 0) {
+      url = url.slice(location.origin.length);
+    }
+    return new URL(url, pageUrl);
+  }
+  function isHttp(target) {
+    return target.protocol === 'http:' || target.protocol === 'https:';
+  }
+  function replayUrl(method, target) {
+    return endpoint + '?method=' + encodeURIComponent(method) +
+      '&url=' + encodeURIComponent(target.href);
+  }
+  var nativeFetch = window.fetch;
+  if (nativeFetch) {
+    window.fetch = function (input, init) {
+      var self = this;
+      var args = arguments;
+      var fallback = function () {
+        return nativeFetch.apply(self, args);
+      };
+      var request = typeof Request !== 'undefined' && input instanceof Request
+        ? input
+        : null;
+      var target;
+      try {
+        target = resolve(request ? request.url : input);
+      } catch (e) {
+        return fallback();
+      }
+      if (!isHttp(target)) return fallback();
+      var method = String(
+        (init && init.method) || (request && request.method) || 'GET'
+      ).toUpperCase();
+      var body = init && init.body;
+      var text = typeof body === 'string' ||
+        (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams)
+        ? String(body)
+        : undefined;
+      return nativeFetch(
+        replayUrl(method, target),
+        text === undefined ? {} : {method: 'POST', body: text}
+      ).then(function (response) {
+        return response.headers.get('x-smippo-replay') === 'hit'
+          ? response
+          : fallback();
+      }, fallback);
+    };
+  }
+  var open = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    var args = Array.prototype.slice.call(arguments);
+    try {
+      var target = resolve(url);
+      if (isHttp(target)) {
+        method = String(method).toUpperCase();
+        args[0] = method === 'GET' || method === 'HEAD' ? 'GET' : 'POST';
+        args[1] = replayUrl(method, target);
+      }
+    } catch (e) {}
+    return open.apply(this, args);
+  };
+})();`;
+
+/**
+ * Key of a recorded API call: method, URL (without hash) and request body
+ */
+export function getReplayKey(method, url, body = null) {
+  return crypto
+    .createHash('sha1')
+    .update(`${method.toUpperCase()} ${url.split('#')[0]}\n${body ?? ''}`)
+    .digest('hex');
+}
+
+/**
+ * Records API responses to .smippo/replay for `smippo serve`
+ *
+ * Each response body is a file named after its key, index.json maps keys
+ * to {method, url, status, contentType, file}. Opening an existing capture
+ * keeps its recordings.
+ */
+export class ReplayRecorder {
+  constructor(outputDir) {
+    this.outputDir = outputDir;
+    this.dir = getReplayDir(outputDir);
+    this.entries = {};
+  }
+
+  async open() {
+    const index = await readReplayIndex(this.outputDir);
+    if (index) this.entries = index.entries;
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Save one exchange: {method, url, requestBody, status, contentType, body}
+   */
+  async record(call) {
+    const key = getReplayKey(call.method, call.url, call.requestBody);
+    const file = `${key}.body`;
+
+    await fs.ensureDir(this.dir);
+    await fs.writeFile(path.join(this.dir, file), call.body);
+
+    this.entries[key] = {
+      method: call.method.toUpperCase(),
+      url: call.url,
+      status: call.status,
+      contentType: call.contentType,
+      file,
+    };
+  }
+
+  async write() {
+    if (this.size === 0) return;
+    await fs.ensureDir(this.dir);
+    await fs.writeJson(
+      path.join(this.dir, INDEX_FILE),
+      {version: 1, entries: this.entries},
+      {spaces: 2},
+    );
+  }
+}
+
+/**
+ * Read the recorded API index of a capture, null if there is none
+ */
+export async function readReplayIndex(outputDir) {
+  const indexPath = path.join(getReplayDir(outputDir), INDEX_FILE);
+  if (!(await fs.pathExists(indexPath))) return null;
+  return fs.readJson(indexPath);
+}
+
+/**
+ * Find the recording for a request
+ *
+ * Prefers the exact method, URL and body, then any recording of the same
+ * method and URL (bodies with random IDs or timestamps rarely repeat).
+ */
+export function findReplay(index, {method, url, body = null}) {
+  const exact = index.entries[getReplayKey(method, url, body)];
+  if (exact) return exact;
+
+  method = method.toUpperCase();
+  url = url.split('#')[0];
+  return (
+    Object.values(index.entries).find(
+      entry => entry.method === method && entry.url.split('#')[0] === url,
+    ) || null
+  );
+}
+
+/**
+ * Insert the replay shim as the first script of a saved page
+ *
+ * `pagePath` is the page's path relative to the capture root, it locates
+ * the replay endpoint from the page.
+ */
+export function injectReplayShim(html, {pageUrl, pagePath}) {
+  const endpoint = getRootPrefix(pagePath) + REPLAY_ENDPOINT;
+  const script = SHIM_SCRIPT.replace('__PAGE_URL__', () =>
+    toScriptJson(pageUrl),
+  ).replace('__ENDPOINT__', () => toScriptJson(endpoint));
+  const tag = `<script data-smippo-replay>${script}</script>`;
+
+  const head = html.match(/<head(\s[^>]*)?>/i);
+  if (head) {
+    const at = head.index + head[0].length;
+    return html.slice(0, at) + tag + html.slice(at);
+  }
+  return tag + html;
+}
+
+function toScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -74,10 +74,17 @@ export class ResourceSaver {
     return localPath;
   }
 
+  /**
+   * Register a file that already exists on disk (e.g. unchanged on update)
+   */
+  markSaved(url, relativePath) {
+    this.savedFiles.set(url, relativePath);
+  }
+
   /**
    * Save multiple resources
    */
-  async saveResources(resources) {
+  async saveResources(resources, options = {}) {
     const saved = [];
 
     for (const [url, resource] of resources) {
@@ -86,6 +93,7 @@ export class ResourceSaver {
         saved.push({url, localPath, size: resource.size});
       } catch (error) {
         // Continue saving other resources
+        options.onError?.(url, error);
       }
     }
 
@@ -1,5 +1,14 @@
 // @flow
 import robotsParser from 'robots-parser';
+import {load} from 'cheerio';
+
+// Directives that take a value, "max-snippet: 20" is not a user agent prefix
+const VALUE_DIRECTIVES = new Set([
+  'unavailable_after',
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+]);
 
 /**
  * robots.txt handler
@@ -8,7 +17,10 @@ export class RobotsHandler {
   constructor(options = {}) {
     this.enabled = !options.ignoreRobots;
     this.userAgent = options.userAgent || 'Smippo/0.0.1';
+    // Product token, the part robots rules name (RFC 9309)
+    this.productToken = this.userAgent.split('/')[0].trim().toLowerCase();
     this.cache = new Map();
+    this.fetching = new Map(); // robots.txt URL -> in-flight fetch
   }
 
   /**
@@ -41,24 +53,41 @@ export class RobotsHandler {
         return this.cache.get(robotsUrl);
       }
 
-      // Fetch robots.txt
-      const robotsContent = await fetchFn(robotsUrl);
-
-      if (!robotsContent) {
-        this.cache.set(robotsUrl, null);
-        return null;
+      // Workers asking for the same origin share one fetch
+      if (!this.fetching.has(robotsUrl)) {
+        this.fetching.set(
+          robotsUrl,
+          this._fetchRobots(robotsUrl, fetchFn).finally(() => {
+            this.fetching.delete(robotsUrl);
+          }),
+        );
       }
 
-      // Parse robots.txt
-      const robots = robotsParser(robotsUrl, robotsContent);
-      this.cache.set(robotsUrl, robots);
-
-      return robots;
+      return await this.fetching.get(robotsUrl);
     } catch {
       return null;
     }
   }
 
+  /**
+   * Fetch and parse robots.txt, caching the result (null if unavailable)
+   */
+  async _fetchRobots(robotsUrl, fetchFn) {
+    let robots = null;
+
+    try {
+      const robotsContent = await fetchFn(robotsUrl);
+      if (robotsContent) {
+        robots = robotsParser(robotsUrl, robotsContent);
+      }
+    } catch {
+      // Unreachable robots.txt allows everything
+    }
+
+    this.cache.set(robotsUrl, robots);
+    return robots;
+  }
+
   /**
    * Get crawl delay for a domain
    */
@@ -78,6 +107,58 @@ export class RobotsHandler {
     }
   }
 
+  /**
+   * Read noindex/nofollow from X-Robots-Tag headers and robots meta tags
+   */
+  getPageDirectives(headers = {}, html = '') {
+    const directives = {noindex: false, nofollow: false};
+    if (!this.enabled) return directives;
+
+    const apply = value => {
+      for (const token of value.toLowerCase().split(',')) {
+        const directive = token.trim();
+        if (directive === 'none') {
+          directives.noindex = true;
+          directives.nofollow = true;
+        } else if (directive === 'noindex' || directive === 'nofollow') {
+          directives[directive] = true;
+        }
+      }
+    };
+
+    // X-Robots-Tag: "noindex" or "<bot>: noindex", repeated headers are
+    // joined with newlines
+    const header = String(headers['x-robots-tag'] || '');
+    for (const line of header.split('\n')) {
+      const match = line.match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+      if (!match || VALUE_DIRECTIVES.has(match[1].toLowerCase())) {
+        apply(line);
+      } else if (this._matchesAgent(match[1])) {
+        apply(match[2]);
+      }
+    }
+
+    if (html) {
+      const $ = load(html);
+      $('meta[name][content]').each((_, el) => {
+        const name = $(el).attr('name').toLowerCase();
+        if (name === 'robots' || this._matchesAgent(name)) {
+          apply($(el).attr('content'));
+        }
+      });
+    }
+
+    return directives;
+  }
+
+  /**
+   * Check if a robots user-agent token applies to this crawler
+   */
+  _matchesAgent(token) {
+    const name = token.trim().toLowerCase();
+    return name === 'smippo' || name === this.productToken;
+  }
+
   /**
    * Get sitemap URLs from robots.txt
    */
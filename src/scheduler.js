@@ -0,0 +1,252 @@
+// @flow
+
+// Statuses that mean the host wants us to slow down
+const SLOWDOWN_STATUSES = [429, 503];
+
+// Adaptive slowdown starts here and doubles up to the cap
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+
+/**
+ * Per-host politeness scheduler
+ *
+ * Runs tasks with a global concurrency cap, a per-host concurrency limit and
+ * a minimum delay between task starts on the same host. A host answering
+ * 429/503 is slowed down (one task at a time, growing delay) until it
+ * recovers, without holding up other hosts.
+ *
+ * Tasks carry a priority: higher runs first, equal priorities run in the
+ * order they were added.
+ */
+export class HostScheduler {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 8;
+    this.hostConcurrency = options.hostConcurrency || this.concurrency;
+    this.hostDelay = options.hostDelay || 0;
+    this.getHostDelay = options.getHostDelay || null; // URL -> extra ms
+    this.hosts = new Map(); // host -> {queue, running, nextStart, backoff}
+    this.running = 0;
+    this.size = 0;
+    this.sequence = 0;
+    this.timer = null;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a task for the URL's host, resolves with the task's result
+   */
+  add(url, task, options = {}) {
+    return new Promise((resolve, reject) => {
+      this._getHost(url).queue.push({
+        url,
+        task,
+        resolve,
+        reject,
+        priority: options.priority || 0,
+        order: this.sequence++,
+      });
+
+      this.size++;
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Wait until every queued and running task has finished
+   */
+  onIdle() {
+    if (this.size === 0 && this.running === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Wait for the host's turn before a request made outside of a task (such
+   * as a sandbox reload), and space the host's next start from it
+   */
+  async throttle(url) {
+    const host = this._getHost(url);
+
+    // Another start or a slowdown may push the host back while waiting
+    let wait;
+    while ((wait = host.nextStart - Date.now()) > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    host.nextStart = Date.now() + this._hostDelay(host, url);
+  }
+
+  /**
+   * Adapt the host's pace to a response status
+   */
+  reportResponse(url, status, retryAfter = null) {
+    const host = this._getHost(url);
+
+    if (SLOWDOWN_STATUSES.includes(status)) {
+      host.backoff = Math.min(
+        Math.max(host.backoff * 2, MIN_BACKOFF),
+        MAX_BACKOFF,
+      );
+      const pause = Math.min(retryAfter ?? host.backoff, MAX_BACKOFF);
+      host.nextStart = Math.max(host.nextStart, Date.now() + pause);
+    } else if (host.backoff > 0 && status < 400) {
+      // Recover gradually once the host answers normally again
+      host.backoff = host.backoff / 2 < MIN_BACKOFF ? 0 : host.backoff / 2;
+    }
+  }
+
+  /**
+   * Start as many ready tasks as the limits allow
+   */
+  _dispatch() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.running < this.concurrency) {
+      const now = Date.now();
+      let next = null;
+      let wakeAt = Infinity;
+
+      // Best task among hosts that have a free slot and no pending delay
+      for (const host of this.hosts.values()) {
+        if (host.queue.size === 0) continue;
+        if (host.running >= this._hostLimit(host)) continue;
+
+        if (host.nextStart > now) {
+          wakeAt = Math.min(wakeAt, host.nextStart);
+          continue;
+        }
+
+        if (!next || comesBefore(host.queue.peek(), next.queue.peek())) {
+          next = host;
+        }
+      }
+
+      if (!next) {
+        if (wakeAt < Infinity) {
+          this.timer = setTimeout(() => this._dispatch(), wakeAt - now);
+        }
+        return;
+      }
+
+      this._run(next, next.queue.pop(), now);
+    }
+  }
+
+  /**
+   * Run one task and dispatch the next when it settles
+   */
+  _run(host, entry, now) {
+    this.size--;
+    this.running++;
+    host.running++;
+    host.nextStart = now + this._hostDelay(host, entry.url);
+
+    Promise.resolve()
+      .then(() => entry.task())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        host.running--;
+        this._dispatch();
+
+        if (this.size === 0 && this.running === 0) {
+          const waiters = this.idleWaiters.splice(0);
+          waiters.forEach(resolve => resolve());
+        }
+      });
+  }
+
+  _hostLimit(host) {
+    return host.backoff > 0 ? 1 : this.hostConcurrency;
+  }
+
+  _hostDelay(host, url) {
+    const extra = this.getHostDelay?.(url) || 0;
+    return Math.max(this.hostDelay, extra) + host.backoff;
+  }
+
+  _getHost(url) {
+    let key;
+    try {
+      key = new URL(url).host;
+    } catch {
+      key = '';
+    }
+
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, {
+        queue: new TaskHeap(),
+        running: 0,
+        nextStart: 0,
+        backoff: 0,
+      });
+    }
+    return this.hosts.get(key);
+  }
+}
+
+/**
+ * Order tasks by priority (highest first), then by insertion
+ */
+function comesBefore(a, b) {
+  if (a.priority !== b.priority) return a.priority > b.priority;
+  return a.order < b.order;
+}
+
+/**
+ * Binary heap of queued tasks, its top is the next task to run
+ */
+class TaskHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(entry) {
+    const {items} = this;
+    items.push(entry);
+
+    // Sift up
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!comesBefore(items[index], items[parent])) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const {items} = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+
+    // Sift the last entry down from the root
+    items[0] = last;
+    let index = 0;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let best = index;
+      if (left < items.length && comesBefore(items[left], items[best])) {
+        best = left;
+      }
+      if (right < items.length && comesBefore(items[right], items[best])) {
+        best = right;
+      }
+      if (best === index) break;
+      [items[index], items[best]] = [items[best], items[index]];
+      index = best;
+    }
+    return top;
+  }
+}
@@ -1,8 +1,13 @@
 // @flow
-import {chromium} from 'playwright';
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
+import {
+  applyPageOptions,
+  checkBrowserSupport,
+  getDeviceOptions,
+  openBrowserContext,
+} from './utils/browser.js';
 
 /**
  * Capture a screenshot of a URL
@@ -24,6 +29,10 @@ export async function captureScreenshot(url, options = {}) {
     darkMode = false,
     scale = 'device',
     omitBackground = false,
+    browser: browserName = 'chromium',
+    connect,
+    cdp,
+    userDataDir,
     verbose = false,
     quiet = false,
   } = options;
@@ -55,10 +64,18 @@ export async function captureScreenshot(url, options = {}) {
     console.log('');
     console.log(chalk.cyan('  📸 Smippo Screenshot'));
     console.log(chalk.dim(`  URL: ${url}`));
+    if (browserName !== 'chromium') {
+      console.log(chalk.dim(`  Browser: ${browserName}`));
+    }
     console.log('');
   }
 
-  const browser = await chromium.launch();
+  checkBrowserSupport(browserName, {connect, cdp, userDataDir});
+
+  let browser = null;
+  let context = null;
+  let shared = false;
+  let page = null;
 
   try {
     // Set up context options
@@ -69,9 +86,9 @@ export async function captureScreenshot(url, options = {}) {
 
     // Device emulation
     if (device) {
-      const {devices} = await import('playwright');
-      if (devices[device]) {
-        Object.assign(contextOptions, devices[device]);
+      const deviceOptions = getDeviceOptions(device, browserName);
+      if (deviceOptions) {
+        Object.assign(contextOptions, deviceOptions);
         if (!quiet) console.log(chalk.dim(`  Device: ${device}`));
       } else {
         console.warn(
@@ -87,8 +104,31 @@ export async function captureScreenshot(url, options = {}) {
       contextOptions.colorScheme = 'dark';
     }
 
-    const context = await browser.newContext(contextOptions);
-    const page = await context.newPage();
+    ({browser, context, shared} = await openBrowserContext(browserName, {
+      connect,
+      cdp,
+      userDataDir,
+      contextOptions,
+      timeout,
+    }));
+    page = await context.newPage();
+
+    // An attached browser's own context keeps its settings, the viewport and
+    // color scheme can still be set on our tab
+    if (shared) {
+      await applyPageOptions(page, contextOptions);
+      const ignored = [
+        userAgent && '--user-agent',
+        device && '--device',
+      ].filter(Boolean);
+      if (ignored.length > 0) {
+        console.warn(
+          chalk.yellow(
+            `  Warning: Reusing the attached browser context, ignoring ${ignored.join(', ')}`,
+          ),
+        );
+      }
+    }
 
     // Navigate
     if (verbose) console.log(chalk.dim(`  Navigating to ${url}...`));
@@ -162,7 +202,13 @@ export async function captureScreenshot(url, options = {}) {
       url,
     };
   } finally {
-    await browser.close();
+    // An attached browser keeps its own context, only close our tab
+    if (shared) {
+      await page?.close();
+    } else {
+      await context?.close();
+    }
+    await browser?.close();
   }
 }
 
@@ -180,6 +226,7 @@ function formatFileSize(bytes) {
  */
 export function parseViewport(viewportStr) {
   if (!viewportStr) return {width: 1920, height: 1080};
+  if (typeof viewportStr === 'object') return viewportStr;
   const [width, height] = viewportStr.split('x').map(Number);
   return {width: width || 1920, height: height || 1080};
 }
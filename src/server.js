@@ -5,7 +5,23 @@ import path from 'path';
 import chalk from 'chalk';
 import {exec} from 'child_process';
 import * as p from '@clack/prompts';
-import {readManifest} from './manifest.js';
+import {readManifest, getReplayDir, getHarPath} from './manifest.js';
+import {REPLAY_ENDPOINT, readReplayIndex, findReplay} from './replay.js';
+import {
+  HarArchive,
+  REPLAY_PREFIX,
+  getReplayTarget,
+  toReplayLocation,
+} from './har-replay.js';
+import {
+  PROXY_MISS_POLICIES,
+  loadUrlMap,
+  findCapturedFile,
+  isProxyRequest,
+  passThrough,
+  tunnel,
+  getPlaceholder,
+} from './proxy.js';
 import {getAllCapturedSites, getSitesDir} from './utils/home.js';
 
 // MIME type mapping
@@ -105,6 +121,228 @@ function getMimeType(filePath) {
   return MIME_TYPES[ext] || 'application/octet-stream';
 }
 
+/**
+ * Answer a replayed API call from a capture's recordings
+ *
+ * The shim in saved pages asks `<capture root>/__smippo/replay?method=&url=`
+ * with the original request body. Misses get a 404 marked with
+ * `x-smippo-replay: miss` so the page can fall back to the network.
+ */
+async function serveReplay(req, res, captureRoot, indexes, cors) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const method = params.get('method') || 'GET';
+  const url = params.get('url');
+  const body = req.method === 'POST' ? await readBody(req) : null;
+
+  const index = url ? await loadReplayIndex(captureRoot, indexes) : null;
+  const entry = index && findReplay(index, {method, url, body});
+  const content = entry
+    ? await fs
+        .readFile(
+          path.join(getReplayDir(captureRoot), path.basename(entry.file)),
+        )
+        .catch(() => null)
+    : null;
+
+  const headers = {'Cache-Control': 'no-cache'};
+  if (cors) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  }
+
+  if (!content) {
+    res.writeHead(404, {...headers, 'X-Smippo-Replay': 'miss'});
+    res.end('Not recorded');
+    return 404;
+  }
+
+  res.writeHead(entry.status, {
+    ...headers,
+    'Content-Type': entry.contentType || 'application/octet-stream',
+    'Content-Length': content.length,
+    'X-Smippo-Replay': 'hit',
+  });
+  res.end(content);
+  return entry.status;
+}
+
+/**
+ * Read a capture's replay index, cached until the file changes
+ */
+async function loadReplayIndex(captureRoot, indexes) {
+  const indexPath = path.join(getReplayDir(captureRoot), 'index.json');
+  const stats = await fs.stat(indexPath).catch(() => null);
+  if (!stats) return null;
+
+  const cached = indexes.get(captureRoot);
+  if (cached?.mtime === stats.mtimeMs) return cached.index;
+
+  const index = await readReplayIndex(captureRoot).catch(() => null);
+  indexes.set(captureRoot, {mtime: stats.mtimeMs, index});
+  return index;
+}
+
+/**
+ * Answer a request for an original URL from the HAR archive (--replay)
+ *
+ * The URL comes from a /_replay/<url> path, from the Host header when the
+ * browser was pointed at the original domain, or from the /_replay/ page
+ * that asked for an absolute path. Resolves to the status sent, or null to
+ * leave the request to the static file server.
+ */
+async function serveFromHar(req, res, archive, options) {
+  const {cors, localHosts} = options;
+  const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+
+  let targets = [];
+  let viaPrefix = false;
+  let viaReferer = false;
+  const prefixed = getReplayTarget(req.url);
+  if (isProxyRequest(req)) {
+    targets = [req.url];
+  } else if (prefixed) {
+    targets = [prefixed];
+    viaPrefix = true;
+  } else if (hostname && !localHosts.has(hostname)) {
+    targets = [`https://${hostname}${req.url}`, `http://${hostname}${req.url}`];
+  } else if (req.headers.referer) {
+    const referer = new URL(req.headers.referer);
+    const page = getReplayTarget(referer.pathname + referer.search);
+    if (page) {
+      targets = [new URL(req.url, page).href];
+      viaPrefix = true;
+      viaReferer = true;
+    }
+  }
+  if (targets.length === 0) return null;
+
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+  const body = hasBody ? await readBody(req) : null;
+
+  let exchange = null;
+  for (const url of targets) {
+    exchange = archive.find({method: req.method, url, body});
+    if (exchange) break;
+  }
+
+  if (!exchange) {
+    if (!prefixed) return null;
+    res.writeHead(404, {'X-Smippo-Replay': 'miss'});
+    res.end('Not in the HAR archive');
+    return 404;
+  }
+
+  // A link to an absolute path: keep the page under /_replay/ so its own
+  // relative URLs resolve against the original URL
+  if (viaReferer && req.method === 'GET' && isNavigation(req)) {
+    res.writeHead(302, {Location: REPLAY_PREFIX + exchange.url});
+    res.end();
+    return 302;
+  }
+
+  const headers = {
+    ...exchange.headers,
+    'content-length': exchange.body.length,
+    'x-smippo-replay': 'har',
+  };
+  if (viaPrefix && headers.location) {
+    headers.location = toReplayLocation(headers.location, exchange.url);
+  }
+  if (cors && !headers['access-control-allow-origin']) {
+    headers['access-control-allow-origin'] = '*';
+  }
+
+  res.writeHead(exchange.status, headers);
+  res.end(req.method === 'HEAD' ? undefined : exchange.body);
+  return exchange.status;
+}
+
+function isNavigation(req) {
+  return (
+    req.headers['sec-fetch-mode'] === 'navigate' ||
+    (req.headers.accept || '').includes('text/html')
+  );
+}
+
+function readBody(req, maxSize = 10 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Response headers for a file: MIME type, length, no caching and CORS
+ */
+function getFileHeaders(contentType, length, cors) {
+  const headers = {
+    'Content-Type': contentType,
+    'Content-Length': length,
+    'Cache-Control': 'no-cache',
+  };
+
+  // Add CORS headers if enabled
+  if (cors) {
+    headers['Access-Control-Allow-Origin'] = '*';
+    headers['Access-Control-Allow-Methods'] = 'GET, HEAD, OPTIONS';
+    headers['Access-Control-Allow-Headers'] = '*';
+  }
+
+  return headers;
+}
+
+/**
+ * Answer a forward proxy request (--proxy) from the capture
+ *
+ * Captured URLs are served from their saved files, misses follow the
+ * policy: 404, passthrough to the live site, or a placeholder.
+ */
+async function serveProxyRequest(req, res, urlMap, options) {
+  const {cors, miss} = options;
+  // A malformed URL throws here, whatever the miss policy
+  const target = new URL(req.url);
+
+  const filePath = findCapturedFile(urlMap, req.url);
+  if (filePath && (await fs.pathExists(filePath))) {
+    const content = await fs.readFile(filePath);
+    res.writeHead(
+      200,
+      getFileHeaders(getMimeType(filePath), content.length, cors),
+    );
+    res.end(content);
+    return 200;
+  }
+
+  if (miss === 'passthrough') {
+    return passThrough(req, res);
+  }
+
+  if (miss === 'placeholder') {
+    const mimeType = getMimeType(target.pathname);
+    const {contentType, body} = getPlaceholder(req, mimeType);
+    res.writeHead(200, {
+      ...getFileHeaders(contentType, body.length, cors),
+      'X-Smippo-Proxy': 'placeholder',
+    });
+    res.end(body);
+    return 200;
+  }
+
+  res.writeHead(404, {'X-Smippo-Proxy': 'miss'});
+  res.end('Not in the capture');
+  return 404;
+}
+
 /**
  * Generate a directory listing HTML page
  */
@@ -342,6 +580,9 @@ export async function createServer(options = {}) {
     cors = true,
     verbose = false,
     quiet = false,
+    replay = null, // HAR file to replay, true for .smippo/network.har
+    proxy = false, // Act as a forward proxy for the captured URLs
+    proxyMiss = '404',
   } = options;
 
   // Resolve directory to absolute path
@@ -355,10 +596,63 @@ export async function createServer(options = {}) {
   // Find available port
   const port = await findAvailablePort(parseInt(requestedPort, 10));
 
+  // Recorded API indexes by capture root (--replay-api captures)
+  const replayIndexes = new Map();
+
+  const archive = replay
+    ? await HarArchive.load(
+        replay === true ? getHarPath(rootDir) : path.resolve(replay),
+      )
+    : null;
+  const localHosts = new Set(['localhost', '127.0.0.1', '[::1]', host]);
+
+  if (proxy && !PROXY_MISS_POLICIES.includes(proxyMiss)) {
+    throw new Error(
+      `Unknown proxy miss policy: ${proxyMiss} (use ${PROXY_MISS_POLICIES.join(', ')})`,
+    );
+  }
+  const urlMap = proxy ? await loadUrlMap(rootDir) : null;
+
   // Create HTTP server
   const server = http.createServer(async (req, res) => {
     const startTime = Date.now();
 
+    // Original URLs recorded in the HAR (--replay)
+    if (archive) {
+      try {
+        const status = await serveFromHar(req, res, archive, {
+          cors,
+          localHosts,
+        });
+        if (status !== null) {
+          logRequest(req, status, Date.now() - startTime, verbose, quiet);
+          return;
+        }
+      } catch {
+        if (!res.headersSent) res.writeHead(502);
+        res.end('Bad Gateway');
+        logRequest(req, 502, Date.now() - startTime, verbose, quiet);
+        return;
+      }
+    }
+
+    // Absolute URLs from a browser using us as its proxy (--proxy)
+    if (urlMap && isProxyRequest(req)) {
+      let status;
+      try {
+        status = await serveProxyRequest(req, res, urlMap, {
+          cors,
+          miss: proxyMiss,
+        });
+      } catch (error) {
+        status = error.code === 'ERR_INVALID_URL' ? 400 : 502;
+        if (!res.headersSent) res.writeHead(status);
+        res.end(status === 400 ? 'Bad Request' : 'Bad Gateway');
+      }
+      logRequest(req, status, Date.now() - startTime, verbose, quiet);
+      return;
+    }
+
     // Parse URL and decode
     const urlPath = decodeURIComponent(req.url.split('?')[0]);
 
@@ -372,6 +666,39 @@ export async function createServer(options = {}) {
       return;
     }
 
+    // API calls from pages captured with --replay-api
+    if (urlPath.endsWith(`/${REPLAY_ENDPOINT}`)) {
+      const captureRoot = path.join(
+        rootDir,
+        urlPath.slice(0, -REPLAY_ENDPOINT.length),
+      );
+      try {
+        const status = await serveReplay(
+          req,
+          res,
+          captureRoot,
+          replayIndexes,
+          cors,
+        );
+        logRequest(req, status, Date.now() - startTime, verbose, quiet);
+      } catch {
+        res.writeHead(400);
+        res.end('Bad Request');
+        logRequest(req, 400, Date.now() - startTime, verbose, quiet);
+      }
+      return;
+    }
+
+    // Never hand out .smippo/: the login session, logs, crawl state and
+    // archives. The replay endpoint and HAR replay read it server-side.
+    const segments = path.relative(rootDir, filePath).split(path.sep);
+    if (segments.some(segment => segment.toLowerCase() === '.smippo')) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      logRequest(req, 403, Date.now() - startTime, verbose, quiet);
+      return;
+    }
+
     try {
       const stats = await fs.stat(filePath);
 
@@ -410,23 +737,10 @@ export async function createServer(options = {}) {
 
       // Read and serve the file
       const content = await fs.readFile(filePath);
-      const mimeType = getMimeType(filePath);
-
-      // Set headers
-      const headers = {
-        'Content-Type': mimeType,
-        'Content-Length': content.length,
-        'Cache-Control': 'no-cache',
-      };
-
-      // Add CORS headers if enabled
-      if (cors) {
-        headers['Access-Control-Allow-Origin'] = '*';
-        headers['Access-Control-Allow-Methods'] = 'GET, HEAD, OPTIONS';
-        headers['Access-Control-Allow-Headers'] = '*';
-      }
-
-      res.writeHead(200, headers);
+      res.writeHead(
+        200,
+        getFileHeaders(getMimeType(filePath), content.length, cors),
+      );
       res.end(content);
 
       logRequest(req, 200, Date.now() - startTime, verbose, quiet);
@@ -461,6 +775,20 @@ export async function createServer(options = {}) {
     }
   });
 
+  // HTTPS through the proxy: captured pages can't be served without
+  // intercepting TLS, so tunnels are only opened to pass through
+  if (proxy) {
+    server.on('connect', (req, socket, head) => {
+      if (proxyMiss === 'passthrough') {
+        tunnel(req, socket, head);
+        logRequest(req, 200, 0, verbose, quiet);
+        return;
+      }
+      socket.end('HTTP/1.1 501 Not Implemented\r\nContent-Length: 0\r\n\r\n');
+      logRequest(req, 501, 0, verbose, quiet);
+    });
+  }
+
   // Handle server errors
   server.on('error', error => {
     if (error.code === 'EADDRINUSE') {
@@ -478,6 +806,9 @@ export async function createServer(options = {}) {
 
       // Build the URL with optional path
       const url = openPath ? `${baseUrl}/${openPath}/` : baseUrl;
+      const replayUrl = archive?.rootUrl
+        ? `${baseUrl}${REPLAY_PREFIX}${archive.rootUrl}`
+        : null;
 
       if (!quiet) {
         console.log('');
@@ -535,11 +866,34 @@ export async function createServer(options = {}) {
           chalk.cyan('  ╰─────────────────────────────────────────────╯'),
         );
         console.log('');
+
+        if (proxy) {
+          console.log(
+            chalk.dim('  Proxy:   ') +
+              chalk.white(`${host}:${port}`) +
+              chalk.dim(
+                ` serves ${urlMap.size} captured URLs over http://, misses: ${proxyMiss}`,
+              ),
+          );
+          console.log('');
+        }
+
+        if (archive) {
+          console.log(
+            chalk.dim('  Replaying ') +
+              chalk.white(archive.size) +
+              chalk.dim(` recorded responses, open ${REPLAY_PREFIX}<url>`),
+          );
+          if (replayUrl) {
+            console.log(chalk.dim('  Start:   ') + chalk.green(replayUrl));
+          }
+          console.log('');
+        }
       }
 
       // Open browser if requested
       if (open) {
-        openBrowser(url);
+        openBrowser(replayUrl || url);
       }
 
       resolve({
@@ -547,6 +901,7 @@ export async function createServer(options = {}) {
         port,
         host,
         url,
+        replayUrl,
         close: () => new Promise(res => server.close(res)),
       });
     });
@@ -769,6 +1124,9 @@ export async function serve(options) {
       cors: options.cors !== false,
       verbose: options.verbose,
       quiet: options.quiet,
+      replay: options.replay,
+      proxy: options.proxy,
+      proxyMiss: options.proxyMiss,
     });
 
     // Keep process running
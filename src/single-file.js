@@ -0,0 +1,289 @@
+// @flow
+import {load} from 'cheerio';
+import fs from 'fs-extra';
+import path from 'path';
+import mime from 'mime-types';
+
+// Default per-resource limit, larger files stay external
+const DEFAULT_MAX_INLINE_SIZE = 5 * 1024 * 1024;
+
+// Guard against @import cycles between stylesheets
+const MAX_CSS_DEPTH = 5;
+
+/**
+ * Inline locally saved resources into a rewritten HTML page
+ *
+ * Works on the output of rewriteLinks: every reference that points to a file
+ * inside the output directory is replaced by its content (stylesheets and
+ * scripts) or a data URI (images, fonts, media). References to files larger
+ * than maxInlineSize are left pointing at the external file.
+ *
+ * With `cssOnly` only stylesheets are inlined (--inline-css), their url()
+ * references are rebased to the page instead of becoming data URIs.
+ */
+export async function inlineResources(html, htmlPath, options = {}) {
+  const inliner = new Inliner(htmlPath, options);
+  const $ = load(html, {decodeEntities: false});
+
+  // Existing <style> tags reference url()s too
+  if (!options.cssOnly) {
+    for (const el of $('style').toArray()) {
+      const css = $(el).html();
+      $(el).html(await inliner.inlineCss(css, {dir: inliner.baseDir}));
+    }
+  }
+
+  // Stylesheets -> <style>
+  for (const el of $('link[rel~="stylesheet"][href]').toArray()) {
+    const href = $(el).attr('href');
+    const file = await inliner.read(href, inliner.baseDir);
+    if (!file) continue;
+
+    const css = await inliner.inlineCss(file.content.toString('utf8'), file);
+    const style = $('<style></style>').text(css);
+    const media = $(el).attr('media');
+    if (media) style.attr('media', media);
+    $(el).replaceWith(style);
+  }
+
+  if (options.cssOnly) {
+    return $.html();
+  }
+
+  // Scripts -> inline <script>
+  for (const el of $('script[src]').toArray()) {
+    const src = $(el).attr('src');
+    const file = await inliner.read(src, inliner.baseDir);
+    if (!file) continue;
+
+    // A literal </script> inside the code would end the element early
+    const code = file.content
+      .toString('utf8')
+      .replace(/<\/script/gi, '<\\/script');
+    $(el).removeAttr('src').removeAttr('integrity').removeAttr('crossorigin');
+    $(el).text(code);
+  }
+
+  // Attributes holding a single URL -> data URIs
+  const urlAttributes = [
+    ['img[src]', 'src'],
+    ['video[src], audio[src], source[src], track[src]', 'src'],
+    ['video[poster]', 'poster'],
+    ['object[data]', 'data'],
+    ['input[type="image"][src]', 'src'],
+    ['link[rel~="icon"][href], link[rel="preload"][href]', 'href'],
+    ['image[href], use[href], feImage[href]', 'href'],
+    [
+      'image[xlink\\:href], use[xlink\\:href], feImage[xlink\\:href]',
+      'xlink:href',
+    ],
+  ];
+
+  for (const [selector, attr] of urlAttributes) {
+    for (const el of $(selector).toArray()) {
+      const value = $(el).attr(attr);
+      // Keep fragment identifiers (e.g. <use href="sprite.svg#icon">)
+      const [ref, fragment] = splitFragment(value);
+      const dataUri = await inliner.dataUri(ref, inliner.baseDir);
+      if (dataUri) {
+        $(el).attr(attr, fragment ? `${dataUri}#${fragment}` : dataUri);
+        $(el).removeAttr('integrity');
+      }
+    }
+  }
+
+  // srcset candidates
+  for (const el of $('img[srcset], source[srcset]').toArray()) {
+    const candidates = [];
+    for (const part of $(el).attr('srcset').split(',')) {
+      const [ref, ...descriptor] = part.trim().split(/\s+/);
+      const dataUri = await inliner.dataUri(ref, inliner.baseDir);
+      candidates.push([dataUri || ref, ...descriptor].join(' '));
+    }
+    $(el).attr('srcset', candidates.join(', '));
+  }
+
+  // style attributes
+  for (const el of $('[style]').toArray()) {
+    const style = $(el).attr('style');
+    $(el).attr('style', await inliner.inlineCss(style, {dir: inliner.baseDir}));
+  }
+
+  return $.html();
+}
+
+/**
+ * Resolves references against the output directory and caches file reads
+ */
+class Inliner {
+  constructor(htmlPath, options) {
+    this.baseDir = path.dirname(path.resolve(htmlPath));
+    this.outputDir = path.resolve(options.outputDir || '.');
+    this.maxSize = options.maxInlineSize || DEFAULT_MAX_INLINE_SIZE;
+    this.cssOnly = options.cssOnly || false;
+    this.files = new Map();
+  }
+
+  /**
+   * Read a referenced local file, null if it is remote, missing or too big
+   */
+  async read(ref, fromDir) {
+    const filePath = this.resolve(ref, fromDir);
+    if (!filePath) return null;
+
+    if (this.files.has(filePath)) {
+      return this.files.get(filePath);
+    }
+
+    let file = null;
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isFile() && stats.size <= this.maxSize) {
+        file = {
+          path: filePath,
+          dir: path.dirname(filePath),
+          content: await fs.readFile(filePath),
+        };
+      }
+    } catch {
+      // Missing file, keep the external reference
+    }
+
+    this.files.set(filePath, file);
+    return file;
+  }
+
+  /**
+   * Build a data URI for a referenced local file
+   */
+  async dataUri(ref, fromDir) {
+    const file = await this.read(ref, fromDir);
+    if (!file) return null;
+
+    const type = mime.lookup(file.path) || 'application/octet-stream';
+    return `data:${type};base64,${file.content.toString('base64')}`;
+  }
+
+  /**
+   * Replace url() and @import references in CSS with inlined content
+   */
+  async inlineCss(css, file, depth = 0) {
+    if (!css) return css;
+
+    const replacements = new Map();
+    const urlRegex = /url\s*\(\s*['"]?([^'")]+)['"]?\s*\)/gi;
+    const importRegex = /@import\s+['"]([^'"]+)['"]/gi;
+
+    for (const [match, ref] of css.matchAll(urlRegex)) {
+      if (replacements.has(match)) continue;
+      const [target, fragment] = splitFragment(ref);
+
+      let value;
+      if (this.cssOnly) {
+        value = this.rebase(target, file.dir);
+      } else if (isCssRef(target)) {
+        // Stylesheets referenced through @import url(...) are inlined too
+        value = await this.cssDataUri(target, file.dir, depth);
+      } else {
+        value = await this.dataUri(target, file.dir);
+      }
+
+      if (value) {
+        value = fragment ? `${value}#${fragment}` : value;
+        replacements.set(match, `url("${value}")`);
+      }
+    }
+
+    for (const [match, ref] of css.matchAll(importRegex)) {
+      const value = this.cssOnly
+        ? this.rebase(ref, file.dir)
+        : await this.cssDataUri(ref, file.dir, depth);
+      if (value) {
+        replacements.set(match, `@import url("${value}")`);
+      }
+    }
+
+    let result = css;
+    for (const [match, replacement] of replacements) {
+      result = result.split(match).join(replacement);
+    }
+    return result;
+  }
+
+  /**
+   * Make a reference relative to the page instead of the stylesheet
+   */
+  rebase(ref, fromDir) {
+    if (fromDir === this.baseDir) return null;
+
+    const filePath = this.resolve(ref, fromDir);
+    if (!filePath) return null;
+
+    let relative = path.relative(this.baseDir, filePath).replace(/\\/g, '/');
+    if (!relative.startsWith('.')) relative = './' + relative;
+    return encodeURI(relative);
+  }
+
+  /**
+   * Inline an imported stylesheet (and its own references) as a data URI
+   */
+  async cssDataUri(ref, fromDir, depth) {
+    if (depth >= MAX_CSS_DEPTH) return null;
+
+    const file = await this.read(ref, fromDir);
+    if (!file) return null;
+
+    const css = await this.inlineCss(
+      file.content.toString('utf8'),
+      file,
+      depth + 1,
+    );
+    return `data:text/css;base64,${Buffer.from(css).toString('base64')}`;
+  }
+
+  /**
+   * Map a relative reference to a file inside the output directory
+   */
+  resolve(ref, fromDir) {
+    if (!ref) return null;
+
+    ref = ref.trim();
+    // Remote, data and other non-file references are left alone
+    if (/^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('//')) return null;
+    if (ref.startsWith('#')) return null;
+
+    let decoded;
+    try {
+      decoded = decodeURI(ref.split(/[?#]/)[0]);
+    } catch {
+      return null;
+    }
+    if (!decoded) return null;
+
+    const filePath = decoded.startsWith('/')
+      ? path.join(this.outputDir, decoded)
+      : path.resolve(fromDir, decoded);
+
+    // Never read files outside the capture
+    if (!filePath.startsWith(this.outputDir + path.sep)) return null;
+
+    return filePath;
+  }
+}
+
+/**
+ * Split "file.svg#icon" into ["file.svg", "icon"]
+ */
+function splitFragment(ref) {
+  if (!ref) return [ref, null];
+  const index = ref.indexOf('#');
+  if (index <= 0) return [ref, null];
+  return [ref.slice(0, index), ref.slice(index + 1)];
+}
+
+/**
+ * Check if a reference points to a stylesheet
+ */
+function isCssRef(ref) {
+  return /\.css(?:$|\?)/i.test(ref || '');
+}
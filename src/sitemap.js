@@ -0,0 +1,101 @@
+// @flow
+import zlib from 'zlib';
+import {load} from 'cheerio';
+
+// Upper bound on sitemap files fetched per crawl (indexes can nest deeply)
+const MAX_SITEMAPS = 1000;
+
+/**
+ * Parse a sitemap or sitemap index document
+ */
+export function parseSitemap(xml) {
+  const $ = load(xml, {xmlMode: true});
+
+  if ($('sitemapindex').length > 0) {
+    return {
+      type: 'index',
+      entries: $('sitemapindex > sitemap')
+        .toArray()
+        .map(el => readEntry($, el))
+        .filter(entry => entry.loc),
+    };
+  }
+
+  return {
+    type: 'urlset',
+    entries: $('urlset > url')
+      .toArray()
+      .map(el => readEntry($, el))
+      .filter(entry => entry.loc),
+  };
+}
+
+/**
+ * Fetch sitemaps and recursively expand sitemap indexes
+ *
+ * `fetchFn(url)` returns the raw body as a Buffer (or null). Gzipped
+ * sitemaps are detected by their magic bytes and inflated.
+ */
+export async function loadSitemaps(sitemapUrls, fetchFn, options = {}) {
+  const {maxSitemaps = MAX_SITEMAPS, onError} = options;
+  const seen = new Set();
+  const urls = new Map(); // loc -> entry
+  const queue = [...sitemapUrls];
+
+  while (queue.length > 0 && seen.size < maxSitemaps) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    let sitemap;
+    try {
+      const body = await fetchFn(sitemapUrl);
+      if (!body) continue;
+      sitemap = parseSitemap(decodeBody(body));
+    } catch (error) {
+      onError?.(sitemapUrl, error);
+      continue;
+    }
+
+    for (const entry of sitemap.entries) {
+      if (sitemap.type === 'index') {
+        queue.push(entry.loc);
+      } else if (!urls.has(entry.loc)) {
+        urls.set(entry.loc, entry);
+      }
+    }
+  }
+
+  return {
+    sitemaps: [...seen],
+    entries: [...urls.values()],
+  };
+}
+
+/**
+ * Read loc/lastmod/priority from a <url> or <sitemap> element
+ */
+function readEntry($, el) {
+  const text = name => $(el).children(name).first().text().trim() || null;
+  const priority = parseFloat(text('priority'));
+
+  return {
+    loc: text('loc'),
+    lastmod: text('lastmod'),
+    priority: Number.isNaN(priority) ? null : priority,
+  };
+}
+
+/**
+ * Decode a sitemap body, inflating gzip if needed
+ */
+function decodeBody(body) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+
+  // gzip magic bytes (some servers send .xml.gz without Content-Encoding)
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
+  }
+
+  return buffer.toString('utf8');
+}
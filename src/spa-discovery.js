@@ -0,0 +1,183 @@
+// @flow
+
+// Elements that may navigate through script instead of an href
+const NAV_SELECTOR = [
+  '[onclick]',
+  '[data-href]',
+  '[data-url]',
+  '[data-link]',
+  '[data-to]',
+  'router-link',
+  '[routerlink]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  'a:not([href])',
+  'nav button',
+].join(', ');
+
+// Never click controls that look like they change account or server state
+const UNSAFE_LABEL = /log\s*out|sign\s*out|delete|remove|unsubscribe|cancel/i;
+
+// Default for --spa-clicks
+export const MAX_CLICKS = 50;
+const CLICK_TIMEOUT = 2000;
+const SETTLE_TIME = 300;
+
+// Records client-side route changes on window.__smippoRoutes
+const HISTORY_SCRIPT = `(() => {
+  const routes = (window.__smippoRoutes = []);
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      if (url != null) {
+        try {
+          routes.push(new URL(url, location.href).href);
+        } catch {}
+      }
+      return original.apply(this, arguments);
+    };
+  }
+})();`;
+
+/**
+ * Find client-side routes of a single-page app
+ *
+ * Loads the page in a separate sandbox page with pushState/replaceState
+ * instrumented, then clicks elements that may navigate through script and
+ * records the URLs they route to. Full navigations and non-GET requests are
+ * aborted in the sandbox, so clicks can't leave the page or change data.
+ * `throttle(url)` is awaited before every sandbox load, so the crawler can
+ * space them out like its own page loads, and `preparePage(page)` once the
+ * sandbox is open. Returns absolute URLs of routes other than the page
+ * itself.
+ */
+export async function discoverSpaRoutes(context, url, options = {}) {
+  const {
+    timeout = 30000,
+    wait = 'load',
+    maxClicks = MAX_CLICKS,
+    throttle,
+    preparePage,
+  } = options;
+  const routes = new Set();
+  const sandbox = await context.newPage();
+  let loaded = false;
+
+  try {
+    await preparePage?.(sandbox);
+    await sandbox.addInitScript(HISTORY_SCRIPT);
+    await sandbox.route('**/*', route => {
+      const request = route.request();
+
+      if (request.method() !== 'GET') return route.abort();
+
+      if (
+        loaded &&
+        request.isNavigationRequest() &&
+        request.frame() === sandbox.mainFrame()
+      ) {
+        routes.add(request.url());
+        return route.abort();
+      }
+
+      return route.continue();
+    });
+
+    const load = async () => {
+      loaded = false;
+      await throttle?.(url);
+      await sandbox.goto(url, {waitUntil: wait, timeout});
+      loaded = true;
+      return markCandidates(sandbox, maxClicks);
+    };
+
+    const candidates = await load();
+    for (const route of await readRoutes(sandbox)) routes.add(route);
+
+    for (let index = 0; index < candidates; index++) {
+      const element = sandbox.locator(`[data-smippo-nav="${index}"]`);
+
+      try {
+        await element.click({timeout: CLICK_TIMEOUT});
+        await sandbox.waitForTimeout(SETTLE_TIME);
+      } catch {
+        // Hidden, covered or detached, try the next one
+        continue;
+      }
+
+      for (const route of await readRoutes(sandbox)) routes.add(route);
+
+      // Start the next click from the original view
+      if (stripHash(sandbox.url()) !== stripHash(url)) {
+        await load();
+      }
+    }
+  } finally {
+    await sandbox.close();
+  }
+
+  return [...routes].filter(
+    route => /^https?:/.test(route) && stripHash(route) !== stripHash(url),
+  );
+}
+
+/**
+ * Tag clickable navigation candidates with data-smippo-nav indexes
+ *
+ * Also resolves data-href style attributes, which are routes without a
+ * click. Returns the number of tagged elements.
+ */
+async function markCandidates(page, maxClicks) {
+  /* eslint-disable no-undef */
+  return page.evaluate(
+    ({selector, unsafe, max}) => {
+      const unsafeLabel = new RegExp(unsafe, 'i');
+      let count = 0;
+
+      for (const el of document.querySelectorAll(selector)) {
+        if (count >= max) break;
+
+        const target =
+          el.dataset.href ||
+          el.dataset.url ||
+          el.dataset.link ||
+          el.dataset.to ||
+          el.getAttribute('to') ||
+          el.getAttribute('routerlink');
+        if (target) {
+          try {
+            window.__smippoRoutes.push(new URL(target, location.href).href);
+          } catch {
+            // Not a URL, clicking may still route somewhere
+          }
+        }
+
+        const label = `${el.textContent} ${el.getAttribute('aria-label') || ''}`;
+        if (unsafeLabel.test(label) || el.closest('form')) continue;
+
+        el.setAttribute('data-smippo-nav', String(count++));
+      }
+
+      return count;
+    },
+    {selector: NAV_SELECTOR, unsafe: UNSAFE_LABEL.source, max: maxClicks},
+  );
+  /* eslint-enable no-undef */
+}
+
+/**
+ * Take the routes recorded since the last read, plus the current URL
+ */
+async function readRoutes(page) {
+  /* eslint-disable no-undef */
+  const recorded = await page.evaluate(() =>
+    (window.__smippoRoutes || []).splice(0),
+  );
+  /* eslint-enable no-undef */
+  return [...recorded, page.url()];
+}
+
+function stripHash(url) {
+  return url.split('#')[0];
+}
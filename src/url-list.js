@@ -0,0 +1,88 @@
+// @flow
+import fs from 'fs-extra';
+
+/**
+ * Parse a list of seed URLs
+ *
+ * Accepts one URL per line, optionally followed by a depth
+ * ("https://example.com 2"), or CSV with `url` and `depth` columns. CSV is
+ * recognized by its header row or a .csv source (header row optional there),
+ * so URLs containing commas are fine in plain lists. Blank lines and lines
+ * starting with # are skipped. Returns [{url, depth}], depth is undefined
+ * when not given.
+ */
+export function parseUrlList(text, source = 'URL list') {
+  const entries = text
+    .split(/\r?\n/)
+    .map((line, index) => ({line: line.trim(), number: index + 1}))
+    .filter(({line}) => line && !line.startsWith('#'));
+
+  let csv = /\.csv$/i.test(source);
+  let columns = {url: 0, depth: 1};
+
+  // A first row without a URL but with a url column is a CSV header
+  const header = entries[0] && splitCsvLine(entries[0].line);
+  if (header && !isHttpUrl(header[0])) {
+    const names = header.map(cell => cell.toLowerCase());
+    if (names.includes('url')) {
+      csv = true;
+      columns = {url: names.indexOf('url'), depth: names.indexOf('depth')};
+      entries.shift();
+    }
+  }
+
+  return entries.map(({line, number}) => {
+    const cells = csv ? splitCsvLine(line) : line.split(/\s+/);
+    const url = cells[columns.url];
+    const depthCell = cells[columns.depth];
+
+    if (!isHttpUrl(url)) {
+      throw new Error(`Invalid URL on line ${number} of ${source}: ${url}`);
+    }
+
+    let depth;
+    if (depthCell !== undefined && depthCell !== '') {
+      depth = parseInt(depthCell, 10);
+      if (Number.isNaN(depth) || depth < 0) {
+        throw new Error(
+          `Invalid depth on line ${number} of ${source}: ${depthCell}`,
+        );
+      }
+    }
+
+    return {url, depth};
+  });
+}
+
+/**
+ * Read a URL list file, "-" reads standard input
+ */
+export async function readUrlList(filePath) {
+  if (filePath === '-') {
+    return parseUrlList(await readStdin(), 'stdin');
+  }
+  return parseUrlList(await fs.readFile(filePath, 'utf8'), filePath);
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => (text += chunk));
+    process.stdin.on('end', () => resolve(text));
+    process.stdin.on('error', reject);
+  });
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function isHttpUrl(value) {
+  try {
+    const {protocol} = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,181 @@
+// @flow
+import {chromium, firefox, webkit, devices} from 'playwright';
+
+/**
+ * Playwright browser engines selectable with --browser
+ */
+export const BROWSERS = {chromium, firefox, webkit};
+
+/**
+ * Get the Playwright browser type for an engine name
+ */
+export function getBrowserType(name = 'chromium') {
+  const browserType = BROWSERS[name];
+  if (!browserType) {
+    throw new Error(
+      `Unknown browser: ${name} (use ${Object.keys(BROWSERS).join(', ')})`,
+    );
+  }
+  return browserType;
+}
+
+/**
+ * Fail early on features the engine or browser source does not have
+ */
+export function checkBrowserSupport(name = 'chromium', features = {}) {
+  getBrowserType(name);
+
+  if (features.pdf && name !== 'chromium') {
+    throw new Error(
+      `PDF output (--pdf) is only supported with --browser chromium, not ${name}`,
+    );
+  }
+  if (features.cdp && name !== 'chromium') {
+    throw new Error(
+      `--cdp only works with Chromium-based browsers, not --browser ${name}`,
+    );
+  }
+  if (features.connect && features.cdp) {
+    throw new Error('Use either --connect or --cdp, not both');
+  }
+  if (features.userDataDir && (features.connect || features.cdp)) {
+    throw new Error(
+      '--user-data-dir launches a local browser and cannot be combined with --connect or --cdp',
+    );
+  }
+}
+
+/**
+ * Launch a browser engine with a helpful error if it is not installed
+ */
+export function launchBrowser(name = 'chromium', options = {}) {
+  return withInstallHint(name, () => getBrowserType(name).launch(options));
+}
+
+/**
+ * Attach to a running browser instead of launching one
+ *
+ * `connect` is a Playwright browser server endpoint (ws://...), `cdp` a
+ * Chrome DevTools Protocol endpoint (http://localhost:9222 or ws://...).
+ */
+export function connectBrowser(name = 'chromium', options = {}) {
+  const {connect, cdp, timeout} = options;
+
+  if (cdp) {
+    return chromium.connectOverCDP(cdp, {timeout});
+  }
+  return getBrowserType(name).connect(connect, {timeout});
+}
+
+/**
+ * Open a browser context from the configured source
+ *
+ * Attaches with `connect`/`cdp`, launches a persistent profile with
+ * `userDataDir`, or launches a fresh browser. Resolves to
+ * {browser, context, shared}; `browser` is null for a persistent profile,
+ * where closing the context closes the browser. An attached browser's
+ * existing context (its profile and session) is reused and `shared` is
+ * true: contextOptions don't apply to it (see applyPageOptions) and it must
+ * be left open.
+ */
+export async function openBrowserContext(name = 'chromium', options = {}) {
+  const {
+    connect,
+    cdp,
+    userDataDir,
+    launchOptions = {},
+    contextOptions = {},
+    timeout,
+  } = options;
+
+  if (userDataDir) {
+    const context = await withInstallHint(name, () =>
+      getBrowserType(name).launchPersistentContext(userDataDir, {
+        ...launchOptions,
+        ...contextOptions,
+      }),
+    );
+    return {browser: null, context, shared: false};
+  }
+
+  const browser =
+    connect || cdp
+      ? await connectBrowser(name, {connect, cdp, timeout})
+      : await launchBrowser(name, launchOptions);
+
+  const [existing] = connect || cdp ? browser.contexts() : [];
+  if (existing) {
+    return {browser, context: existing, shared: true};
+  }
+
+  try {
+    return {
+      browser,
+      context: await browser.newContext(contextOptions),
+      shared: false,
+    };
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+}
+
+/**
+ * Apply the page-level equivalents of context options to our own page in
+ * an attached browser's shared context, which keeps its own settings
+ */
+export async function applyPageOptions(page, options = {}) {
+  const {viewport, extraHTTPHeaders, colorScheme} = options;
+  if (viewport) await page.setViewportSize(viewport);
+  if (extraHTTPHeaders) await page.setExtraHTTPHeaders(extraHTTPHeaders);
+  if (colorScheme) await page.emulateMedia({colorScheme});
+}
+
+/**
+ * Add headers to each get() of a context's APIRequestContext, without
+ * changing the headers of the context itself
+ */
+export function withExtraHeaders(request, headers) {
+  if (!headers || Object.keys(headers).length === 0) return request;
+  return {
+    get: (url, options = {}) =>
+      request.get(url, {...options, headers: {...headers, ...options.headers}}),
+  };
+}
+
+/**
+ * Context options for an emulated device, adjusted for the engine
+ *
+ * Returns null for unknown devices.
+ */
+export function getDeviceOptions(deviceName, browserName = 'chromium') {
+  const descriptor = devices[deviceName];
+  if (!descriptor) return null;
+
+  // The descriptor's own engine does not matter, --browser decides
+  const options = {...descriptor};
+  delete options.defaultBrowserType;
+
+  // Firefox has no mobile emulation, keep the viewport, UA and touch
+  if (browserName === 'firefox') {
+    delete options.isMobile;
+  }
+
+  return options;
+}
+
+/**
+ * Turn a missing browser binary into an install hint
+ */
+async function withInstallHint(name, launch) {
+  try {
+    return await launch();
+  } catch (error) {
+    if (error.message.includes("Executable doesn't exist")) {
+      throw new Error(
+        `Could not launch ${name}. Install it with: npx playwright install ${name}\n${error.message.split('\n')[0]}`,
+      );
+    }
+    throw error;
+  }
+}
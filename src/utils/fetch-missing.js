@@ -1,6 +1,7 @@
 // @flow
 import {load} from 'cheerio';
 import {resolveUrl} from './url.js';
+import {HttpError, withRetry} from './retry.js';
 
 /**
  * Extract all resource URLs referenced in HTML
@@ -111,44 +112,94 @@ export function findMissingResources(html, pageUrl, capturedResources) {
 }
 
 /**
- * Fetch a single resource
+ * Fetch a single resource, null (after onError) if it fails
  */
 export async function fetchResource(url, options = {}) {
-  const {timeout = 30000} = options;
-
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        Accept: '*/*',
-      },
+    return await withRetry(() => requestResource(url, options), options.retry, {
+      onRetry: info => options.onRetry?.(url, info),
     });
+  } catch (error) {
+    // Timeouts, network errors and failing statuses don't stop the crawl
+    options.onError?.(url, error);
+    return null;
+  }
+}
 
-    clearTimeout(timeoutId);
+/**
+ * Fetch a single resource, throwing on network errors and failing statuses
+ */
+async function requestResource(url, options = {}) {
+  const {timeout = 30000, headers = {}, userAgent} = options;
+  const requestHeaders = {Accept: '*/*', ...headers};
+  if (userAgent) requestHeaders['User-Agent'] = userAgent;
+
+  const response = options.request
+    ? await sendWithContext(options.request, url, {
+        timeout,
+        headers: requestHeaders,
+      })
+    : await sendWithFetch(url, {timeout, headers: requestHeaders});
+  options.onResponse?.(url, response.status, response.headers);
+
+  // Conditional request answered with "not modified"
+  if (response.status === 304) {
+    return {url, status: 304, notModified: true, size: 0};
+  }
 
-    if (!response.ok) {
-      return null;
-    }
+  if (!response.body) {
+    throw new HttpError(response.status, response.statusText, response.headers);
+  }
+
+  return {
+    url,
+    status: response.status,
+    contentType: response.headers['content-type'] || '',
+    size: response.body.length,
+    body: response.body,
+    headers: response.headers,
+  };
+}
+
+/**
+ * Send a GET through a Playwright APIRequestContext
+ *
+ * Using the browser context's request API shares its cookies, extra
+ * headers, proxy and user agent with the crawl.
+ */
+async function sendWithContext(request, url, {timeout, headers}) {
+  const response = await request.get(url, {timeout, headers});
 
-    const buffer = Buffer.from(await response.arrayBuffer());
-    const contentType = response.headers.get('content-type') || '';
+  try {
+    return {
+      status: response.status(),
+      statusText: response.statusText(),
+      headers: response.headers(),
+      body: response.ok() ? await response.body() : null,
+    };
+  } finally {
+    await response.dispose();
+  }
+}
+
+/**
+ * Send a GET with Node fetch, for use outside of a browser context
+ */
+async function sendWithFetch(url, {timeout, headers}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {signal: controller.signal, headers});
 
     return {
-      url,
       status: response.status,
-      contentType,
-      size: buffer.length,
-      body: buffer,
+      statusText: response.statusText,
       headers: Object.fromEntries(response.headers.entries()),
+      body: response.ok ? Buffer.from(await response.arrayBuffer()) : null,
     };
-  } catch (error) {
-    // Ignore fetch errors (timeout, network, etc.)
-    return null;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
@@ -156,16 +207,38 @@ export async function fetchResource(url, options = {}) {
  * Fetch multiple missing resources in parallel
  */
 export async function fetchMissingResources(urls, options = {}) {
-  const {concurrency = 5, timeout = 30000, onProgress} = options;
+  const {
+    concurrency = 5,
+    timeout = 30000,
+    getHeaders,
+    request,
+    userAgent,
+    retry,
+    onResponse,
+    onRetry,
+    onProgress,
+    onError,
+  } = options;
   const results = new Map();
 
   // Process in batches
   for (let i = 0; i < urls.length; i += concurrency) {
     const batch = urls.slice(i, i + concurrency);
     const promises = batch.map(async url => {
-      const resource = await fetchResource(url, {timeout});
-      if (resource) {
-        results.set(url, resource);
+      const resource = await fetchResource(url, {
+        request,
+        userAgent,
+        timeout,
+        headers: getHeaders?.(url) || {},
+        retry,
+        onResponse,
+        onRetry,
+        onError,
+      });
+      if (!resource) return;
+
+      results.set(url, resource);
+      if (!resource.notModified) {
         onProgress?.(url, resource);
       }
     });
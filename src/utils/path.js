@@ -74,3 +74,14 @@ export function joinPath(...parts) {
 export function getBasename(filePath) {
   return basename(filePath, extname(filePath));
 }
+
+/**
+ * Relative prefix from a file back to the root it is relative to
+ * ("example.com/docs/index.html" -> "../../")
+ */
+export function getRootPrefix(relativePath) {
+  const depth = dirname(relativePath.replace(/\\/g, '/'))
+    .split('/')
+    .filter(part => part && part !== '.').length;
+  return '../'.repeat(depth);
+}
@@ -0,0 +1,98 @@
+/**
+ * Retry policies for page navigations and resource fetches
+ */
+
+// Statuses that usually mean "try again later"
+export const DEFAULT_RETRY_ON = [429, 502, 503, 504];
+
+// Never wait longer than this between attempts, whatever Retry-After says
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Error for a response the server answered with a failing status
+ */
+export class HttpError extends Error {
+  constructor(status, statusText = '', headers = {}) {
+    super(`HTTP ${status}${statusText ? ` ${statusText}` : ''}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = headers['retry-after'] || null;
+  }
+}
+
+/**
+ * Build a retry policy from crawler options
+ */
+export function createRetryPolicy(options = {}) {
+  return {
+    retries: options.retries ?? 2,
+    backoff: options.retryBackoff ?? 1000,
+    retryOn: options.retryOn || DEFAULT_RETRY_ON,
+  };
+}
+
+/**
+ * Check if a failed attempt is worth retrying
+ *
+ * HTTP errors are retried only for statuses in the policy, anything else
+ * (timeouts, resets, DNS hiccups) is treated as transient.
+ */
+export function isRetryable(policy, error) {
+  if (error instanceof HttpError) {
+    return policy.retryOn.includes(error.status);
+  }
+  return true;
+}
+
+/**
+ * Delay before the next attempt: Retry-After if given, exponential otherwise
+ */
+export function getRetryDelay(policy, attempt, retryAfter) {
+  const requested = parseRetryAfter(retryAfter);
+  const delay =
+    requested ?? policy.backoff * Math.pow(2, Math.max(0, attempt - 1));
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Run `fn(attempt)` until it succeeds or the policy gives up
+ *
+ * The error thrown after the last attempt carries `attempts`.
+ */
+export async function withRetry(fn, policy, options = {}) {
+  const maxAttempts = Math.max(1, (policy?.retries ?? 0) + 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryable(policy, error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = getRetryDelay(policy, attempt, error.retryAfter);
+      options.onRetry?.({attempt, delay, error});
+      await sleep(delay);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
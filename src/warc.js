@@ -0,0 +1,739 @@
+// @flow
+import crypto from 'crypto';
+import zlib from 'zlib';
+import path from 'path';
+import fs from 'fs-extra';
+import yazl from 'yazl';
+import {version} from './utils/version.js';
+import {
+  readManifest,
+  readCache,
+  getHarPath,
+  getWarcPath,
+  getWaczPath,
+} from './manifest.js';
+
+const CRLF = '\r\n';
+
+// Bytes read at a time when looking for a record or gzip member header
+const READ_CHUNK = 64 * 1024;
+
+// Headers that describe the wire encoding, not the decoded body we store
+const ENCODING_HEADERS = ['content-encoding', 'transfer-encoding'];
+
+/**
+ * Write ISO 28500 WARC files (one gzip member per record when gzipped)
+ */
+export class WarcWriter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.gzip = options.gzip ?? filePath.endsWith('.gz');
+    this.handle = null;
+    this.offset = 0;
+    this.index = []; // CDXJ entries for response records
+    this.pages = []; // Page entries for WACZ pages.jsonl
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Open the file and write the warcinfo record
+   */
+  async open(options = {}) {
+    const {append = false, ...info} = options;
+
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    // Appending keeps records of an interrupted crawl that is being resumed
+    const exists = append && (await fs.pathExists(this.filePath));
+    if (exists) {
+      await this._indexExisting();
+    }
+    this.handle = await fs.promises.open(this.filePath, exists ? 'a' : 'w');
+    this.offset = exists ? (await this.handle.stat()).size : 0;
+
+    const fields = {
+      software: `Smippo/${version}`,
+      format: 'WARC File Format 1.1',
+      conformsTo:
+        'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      ...info,
+    };
+
+    await this.writeRecord(
+      'warcinfo',
+      {
+        'WARC-Filename': path.basename(this.filePath),
+        'Content-Type': 'application/warc-fields',
+      },
+      Buffer.from(serializeFields(fields)),
+    );
+  }
+
+  /**
+   * Index the records of the file being appended to, so the WACZ built
+   * at the end covers earlier runs too
+   */
+  async _indexExisting() {
+    const responseDates = new Map();
+    const pages = [];
+
+    for await (const record of readWarcRecords(this.filePath, this.gzip)) {
+      const {headers} = record;
+      if (headers['warc-type'] === 'response') {
+        const response = parseHttpResponse(record.block);
+        responseDates.set(headers['warc-record-id'], headers['warc-date']);
+        this.index.push({
+          url: headers['warc-target-uri'],
+          date: headers['warc-date'],
+          status: response.status,
+          mime: (response.headers['content-type'] || '').split(';')[0].trim(),
+          digest: headers['warc-payload-digest'],
+          offset: record.offset,
+          length: record.length,
+        });
+      } else if (headers['warc-type'] === 'metadata') {
+        // Only pages get a metadata record
+        pages.push({record, fields: parseFields(record.block)});
+      }
+    }
+
+    for (const {record, fields} of pages) {
+      const {headers} = record;
+      this.addPage(
+        headers['warc-target-uri'],
+        fields.title,
+        responseDates.get(headers['warc-concurrent-to']) ||
+          headers['warc-date'],
+      );
+    }
+  }
+
+  /**
+   * Write a single WARC record, returns its id, offset and length
+   */
+  writeRecord(type, headers, block) {
+    const id = `<urn:uuid:${crypto.randomUUID()}>`;
+    const date = headers['WARC-Date'] || new Date().toISOString();
+
+    const head = [
+      'WARC/1.1',
+      `WARC-Type: ${type}`,
+      `WARC-Record-ID: ${id}`,
+      `WARC-Date: ${date}`,
+      ...Object.entries(headers)
+        .filter(
+          ([name, value]) =>
+            name !== 'WARC-Date' && value !== null && value !== undefined,
+        )
+        .map(([name, value]) => `${name}: ${value}`),
+      `WARC-Block-Digest: ${digest(block)}`,
+      `Content-Length: ${block.length}`,
+    ].join(CRLF);
+
+    let record = Buffer.concat([
+      Buffer.from(head + CRLF + CRLF),
+      block,
+      Buffer.from(CRLF + CRLF),
+    ]);
+
+    if (this.gzip) {
+      record = zlib.gzipSync(record);
+    }
+
+    // Records are appended in order even when pages finish concurrently
+    const write = this.writing.then(async () => {
+      const offset = this.offset;
+      await this.handle.write(record);
+      this.offset += record.length;
+      return {id, offset, length: record.length};
+    });
+    this.writing = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Write request + response records for one HTTP exchange
+   */
+  async writeExchange(exchange) {
+    const {
+      url,
+      method = 'GET',
+      requestHeaders = {},
+      requestBody = null,
+      status,
+      statusText = '',
+      headers = {},
+      body = Buffer.alloc(0),
+      date = new Date().toISOString(),
+    } = exchange;
+
+    const payload = Buffer.isBuffer(body) ? body : Buffer.from(body || '');
+
+    const response = await this.writeRecord(
+      'response',
+      {
+        'WARC-Date': date,
+        'WARC-Target-URI': url,
+        'Content-Type': 'application/http;msgtype=response',
+        'WARC-Payload-Digest': digest(payload),
+      },
+      serializeHttpResponse(status, statusText, headers, payload),
+    );
+
+    await this.writeRecord(
+      'request',
+      {
+        'WARC-Date': date,
+        'WARC-Target-URI': url,
+        'WARC-Concurrent-To': response.id,
+        'Content-Type': 'application/http;msgtype=request',
+      },
+      serializeHttpRequest(url, method, requestHeaders, requestBody),
+    );
+
+    this.index.push({
+      url,
+      date,
+      status,
+      mime: (headers['content-type'] || '').split(';')[0].trim(),
+      digest: digest(payload),
+      offset: response.offset,
+      length: response.length,
+    });
+
+    return response;
+  }
+
+  /**
+   * Write a metadata record (e.g. outlinks and title of a page)
+   */
+  async writeMetadata(url, fields, concurrentTo) {
+    return this.writeRecord(
+      'metadata',
+      {
+        'WARC-Target-URI': url,
+        'WARC-Concurrent-To': concurrentTo,
+        'Content-Type': 'application/warc-fields',
+      },
+      Buffer.from(serializeFields(fields)),
+    );
+  }
+
+  /**
+   * Register a captured page for the WACZ page list
+   */
+  addPage(url, title, date = new Date().toISOString()) {
+    this.pages.push({url, title, ts: date});
+  }
+
+  /**
+   * Flush pending writes and close the file
+   */
+  async close() {
+    await this.writing;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+/**
+ * Package a WARC file into a WACZ (zip with index, page list and datapackage)
+ */
+export async function createWacz(warcWriter, waczPath, options = {}) {
+  const warcName = warcWriter.gzip ? 'data.warc.gz' : 'data.warc';
+  const warcFile = `archive/${warcName}`;
+  const files = [
+    {
+      name: 'indexes/index.cdxj',
+      data: Buffer.from(buildCdxj(warcWriter.index, warcName)),
+    },
+    {
+      name: 'pages/pages.jsonl',
+      data: Buffer.from(buildPagesJsonl(warcWriter.pages)),
+    },
+  ];
+
+  const mainPage = warcWriter.pages[0];
+  const datapackage = {
+    profile: 'data-package',
+    wacz_version: '1.1.1',
+    title: options.title || mainPage?.title || 'Smippo capture',
+    created: new Date().toISOString(),
+    software: `Smippo/${version}`,
+    mainPageUrl: options.mainPageUrl || mainPage?.url,
+    mainPageDate: mainPage?.ts,
+    resources: [
+      {
+        name: warcName,
+        path: warcFile,
+        hash: `sha256:${await hashFile(warcWriter.filePath)}`,
+        bytes: (await fs.stat(warcWriter.filePath)).size,
+      },
+      ...files.map(file => ({
+        name: path.basename(file.name),
+        path: file.name,
+        hash: `sha256:${crypto.createHash('sha256').update(file.data).digest('hex')}`,
+        bytes: file.data.length,
+      })),
+    ],
+  };
+
+  const zip = new yazl.ZipFile();
+
+  // WARC data is already gzipped, store everything uncompressed
+  zip.addReadStream(fs.createReadStream(warcWriter.filePath), warcFile, {
+    compress: false,
+  });
+  for (const file of files) {
+    zip.addBuffer(file.data, file.name, {compress: false});
+  }
+  zip.addBuffer(
+    Buffer.from(JSON.stringify(datapackage, null, 2)),
+    'datapackage.json',
+    {compress: false},
+  );
+  zip.end();
+
+  await fs.ensureDir(path.dirname(waczPath));
+  await new Promise((resolve, reject) => {
+    zip.outputStream
+      .pipe(fs.createWriteStream(waczPath))
+      .on('close', resolve)
+      .on('error', reject);
+  });
+
+  return waczPath;
+}
+
+/**
+ * SHA-256 of a file, read as a stream
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Convert the HAR and manifest of an existing capture to WARC (and WACZ)
+ */
+export async function exportWarc(outputDir, options = {}) {
+  const harPath = getHarPath(outputDir);
+  if (!(await fs.pathExists(harPath))) {
+    throw new Error(
+      `No HAR file found at ${harPath}. Capture with --har to export WARC.`,
+    );
+  }
+
+  const manifest = await readManifest(outputDir);
+  const cache = await readCache(outputDir);
+  const har = await fs.readJson(harPath);
+
+  let warcPath = options.output || getWarcPath(outputDir);
+  // --no-gzip drops the .gz of the path, compression follows the extension
+  if (options.gzip === false) {
+    warcPath = warcPath.replace(/\.gz$/, '');
+  }
+  const writer = new WarcWriter(warcPath);
+  await writer.open({
+    description: manifest ? `Capture of ${manifest.rootUrl}` : undefined,
+  });
+
+  const pages = new Map((manifest?.pages || []).map(p => [p.url, p]));
+  let records = 0;
+
+  for (const entry of har.log?.entries || []) {
+    const exchange = harEntryToExchange(entry);
+    if (!exchange) continue;
+
+    const response = await writer.writeExchange(exchange);
+    records++;
+
+    const page = pages.get(exchange.url);
+    if (page) {
+      await writer.writeMetadata(
+        exchange.url,
+        pageMetadata(page, cache.links?.[page.url]),
+        response.id,
+      );
+      writer.addPage(page.url, page.title, exchange.date);
+      pages.delete(exchange.url);
+    }
+  }
+
+  await writer.close();
+
+  let waczPath = null;
+  if (options.wacz) {
+    waczPath = await createWacz(
+      writer,
+      options.waczOutput || getWaczPath(outputDir),
+      {mainPageUrl: manifest?.rootUrl},
+    );
+  }
+
+  return {warcPath, waczPath, records};
+}
+
+/**
+ * Read the records of a WARC file with their offset and (stored) length,
+ * holding one record in memory at a time
+ */
+export async function* readWarcRecords(filePath, gzip) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const {size} = await handle.stat();
+    let offset = 0;
+
+    while (offset < size) {
+      const {data, length} = gzip
+        ? await inflateMember(handle, filePath, offset)
+        : await readPlainRecord(handle, offset);
+      if (!data) break;
+
+      const headEnd = data.indexOf(CRLF + CRLF);
+      if (headEnd === -1) break;
+
+      const headers = {};
+      for (const line of data.subarray(0, headEnd).toString().split(CRLF)) {
+        const colon = line.indexOf(':');
+        if (colon === -1) continue;
+        headers[line.slice(0, colon).trim().toLowerCase()] = line
+          .slice(colon + 1)
+          .trim();
+      }
+
+      const blockStart = headEnd + 4;
+      const blockLength = Number(headers['content-length']) || 0;
+      const recordLength = length ?? blockStart + blockLength + 4;
+
+      yield {
+        offset,
+        length: recordLength,
+        headers,
+        block: data.subarray(blockStart, blockStart + blockLength),
+      };
+      offset += recordLength;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read an uncompressed record: its header, then as many bytes as it declares
+ */
+async function readPlainRecord(handle, offset) {
+  let head = Buffer.alloc(0);
+  let headEnd = -1;
+
+  while (headEnd === -1) {
+    const {buffer, bytesRead} = await handle.read({
+      buffer: Buffer.alloc(READ_CHUNK),
+      position: offset + head.length,
+    });
+    if (bytesRead === 0) return {data: null};
+    head = Buffer.concat([head, buffer.subarray(0, bytesRead)]);
+    headEnd = head.indexOf(CRLF + CRLF);
+  }
+
+  const declared = /^Content-Length:\s*(\d+)/im.exec(
+    head.subarray(0, headEnd).toString(),
+  );
+  const length = headEnd + 4 + Number(declared?.[1] || 0) + 4;
+  const {buffer, bytesRead} = await handle.read({
+    buffer: Buffer.alloc(length),
+    position: offset,
+  });
+  return {data: buffer.subarray(0, bytesRead)};
+}
+
+/**
+ * Inflate the gzip member starting at offset. Each record is its own
+ * member: header, deflate data, then an 8 byte trailer.
+ */
+async function inflateMember(handle, filePath, offset) {
+  const {buffer, bytesRead} = await handle.read({
+    buffer: Buffer.alloc(READ_CHUNK),
+    position: offset,
+  });
+  const start = gzipHeaderLength(buffer.subarray(0, bytesRead));
+
+  // Raw inflate stops at the end of the member and counts what it consumed
+  const input = fs.createReadStream(filePath, {start: offset + start});
+  const inflate = zlib.createInflateRaw();
+  const chunks = [];
+
+  await new Promise((resolve, reject) => {
+    inflate.on('data', chunk => chunks.push(chunk));
+    inflate.on('end', resolve);
+    inflate.on('error', reject);
+    input.on('error', reject);
+    input.pipe(inflate);
+  });
+  input.destroy();
+
+  return {
+    data: Buffer.concat(chunks),
+    length: start + inflate.bytesWritten + 8,
+  };
+}
+
+/**
+ * Build warc-fields for a captured page
+ */
+export function pageMetadata(page, outlinks = []) {
+  const fields = {};
+  if (page.title) fields.title = page.title;
+  if (page.localPath) fields['smippo-local-path'] = page.localPath;
+  fields.outlink = outlinks;
+  return fields;
+}
+
+/**
+ * Turn a HAR entry into an exchange for WarcWriter.writeExchange
+ */
+export function harEntryToExchange(entry) {
+  const {request, response, startedDateTime} = entry;
+  if (!request?.url?.startsWith('http')) return null;
+  if (!response || response.status <= 0) return null;
+
+  const content = response.content || {};
+  let body = Buffer.alloc(0);
+  if (content.text) {
+    body = Buffer.from(
+      content.text,
+      content.encoding === 'base64' ? 'base64' : 'utf8',
+    );
+  }
+
+  return {
+    url: request.url,
+    method: request.method,
+    requestHeaders: harHeaders(request.headers),
+    requestBody: request.postData?.text ?? null,
+    status: response.status,
+    statusText: response.statusText,
+    headers: harHeaders(response.headers),
+    body,
+    date: new Date(startedDateTime || Date.now()).toISOString(),
+  };
+}
+
+/**
+ * Convert HAR [{name, value}] headers to a lowercased object
+ */
+function harHeaders(headers = []) {
+  const result = {};
+  for (const {name, value} of headers) {
+    // Skip HTTP/2 pseudo headers like :authority
+    if (name.startsWith(':')) continue;
+    const key = name.toLowerCase();
+    result[key] = result[key] ? `${result[key]}, ${value}` : value;
+  }
+  return result;
+}
+
+/**
+ * Serialize an HTTP request block
+ */
+function serializeHttpRequest(url, method, headers, body) {
+  const parsed = new URL(url);
+  const lines = [`${method} ${parsed.pathname}${parsed.search} HTTP/1.1`];
+
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'host')) {
+    lines.push(`Host: ${parsed.host}`);
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.startsWith(':')) continue;
+    lines.push(`${name}: ${value}`);
+  }
+
+  return Buffer.concat([
+    Buffer.from(lines.join(CRLF) + CRLF + CRLF),
+    body ? Buffer.from(body) : Buffer.alloc(0),
+  ]);
+}
+
+/**
+ * Serialize an HTTP response block with a decoded payload
+ */
+function serializeHttpResponse(status, statusText, headers, body) {
+  const lines = [`HTTP/1.1 ${status} ${statusText || ''}`.trim()];
+
+  for (const [name, value] of Object.entries(headers)) {
+    const key = name.toLowerCase();
+    if (ENCODING_HEADERS.includes(key) || key === 'content-length') continue;
+    // Playwright joins repeated headers (e.g. set-cookie) with newlines
+    for (const part of String(value).split('\n')) {
+      lines.push(`${name}: ${part}`);
+    }
+  }
+  lines.push(`Content-Length: ${body.length}`);
+
+  return Buffer.concat([Buffer.from(lines.join(CRLF) + CRLF + CRLF), body]);
+}
+
+/**
+ * Serialize application/warc-fields, arrays become repeated fields
+ */
+function serializeFields(fields) {
+  let out = '';
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      out += `${name}: ${item}${CRLF}`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse application/warc-fields, repeated fields keep the first value
+ */
+function parseFields(block) {
+  const fields = {};
+  for (const line of block.toString().split(CRLF)) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const name = line.slice(0, colon);
+    fields[name] ??= line.slice(colon + 1).trim();
+  }
+  return fields;
+}
+
+/**
+ * Read the status line and headers of an HTTP response block
+ */
+function parseHttpResponse(block) {
+  const headEnd = block.indexOf(CRLF + CRLF);
+  const [statusLine, ...lines] = block
+    .subarray(0, headEnd === -1 ? block.length : headEnd)
+    .toString()
+    .split(CRLF);
+
+  const headers = {};
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    headers[line.slice(0, colon).trim().toLowerCase()] ??= line
+      .slice(colon + 1)
+      .trim();
+  }
+
+  return {status: Number(statusLine.split(' ')[1]) || 0, headers};
+}
+
+/**
+ * Length of a gzip member header (RFC 1952), optional fields included
+ */
+function gzipHeaderLength(data) {
+  if (data[0] !== 0x1f || data[1] !== 0x8b) {
+    throw new Error('Not a gzipped WARC record');
+  }
+
+  const flags = data[3];
+  let length = 10;
+  if (flags & 4) length += 2 + data.readUInt16LE(length); // FEXTRA
+  if (flags & 8) length = data.indexOf(0, length) + 1; // FNAME
+  if (flags & 16) length = data.indexOf(0, length) + 1; // FCOMMENT
+  if (flags & 2) length += 2; // FHCRC
+  return length;
+}
+
+/**
+ * Build a CDXJ index from response records
+ */
+export function buildCdxj(index, filename) {
+  return (
+    index
+      .map(entry => {
+        const json = {
+          url: entry.url,
+          mime: entry.mime,
+          status: String(entry.status),
+          digest: entry.digest,
+          length: String(entry.length),
+          offset: String(entry.offset),
+          filename,
+        };
+        return `${toSurt(entry.url)} ${toTimestamp(entry.date)} ${JSON.stringify(json)}`;
+      })
+      .sort()
+      .join('\n') + '\n'
+  );
+}
+
+/**
+ * Build pages.jsonl for a WACZ
+ */
+function buildPagesJsonl(pages) {
+  const header = {format: 'json-pages-1.0', id: 'pages', title: 'All Pages'};
+  return [header, ...pages].map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * Convert a URL to SURT form (e.g. "com,example)/path?q")
+ */
+export function toSurt(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname
+      .replace(/^www\d*\./, '')
+      .split('.')
+      .reverse()
+      .join(',');
+    const port =
+      parsed.port && !['80', '443'].includes(parsed.port)
+        ? `:${parsed.port}`
+        : '';
+    return `${host}${port})${parsed.pathname}${parsed.search}`.toLowerCase();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Convert an ISO date to a 14-digit WARC timestamp
+ */
+function toTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * sha1 digest in the base32 form used by WARC headers
+ */
+function digest(buffer) {
+  const hash = crypto.createHash('sha1').update(buffer).digest();
+  return `sha1:${base32(hash)}`;
+}
+
+/**
+ * RFC 4648 base32 encoding
+ */
+function base32(buffer) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let out = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += alphabet[(value << (5 - bits)) & 31];
+  }
+
+  return out;
+}
@@ -0,0 +1,157 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {chromium} from 'playwright';
+import {
+  checkBrowserSupport,
+  getDeviceOptions,
+  openBrowserContext,
+} from '../src/utils/browser.js';
+import {Crawler} from '../src/crawler.js';
+
+describe('Browser engines', () => {
+  it('should reject unknown engines and PDF outside Chromium', () => {
+    assert.throws(() => checkBrowserSupport('opera'), /Unknown browser/);
+    assert.throws(
+      () => checkBrowserSupport('webkit', {pdf: true}),
+      /only supported with --browser chromium/,
+    );
+    checkBrowserSupport('chromium', {pdf: true});
+    checkBrowserSupport('firefox');
+  });
+
+  it('should reject conflicting browser sources', () => {
+    assert.throws(
+      () => checkBrowserSupport('firefox', {cdp: 'http://localhost:9222'}),
+      /--cdp only works with Chromium/,
+    );
+    assert.throws(
+      () => checkBrowserSupport('chromium', {connect: 'ws://a', cdp: 'ws://b'}),
+      /either --connect or --cdp/,
+    );
+    assert.throws(
+      () =>
+        checkBrowserSupport('chromium', {connect: 'ws://a', userDataDir: 'p'}),
+      /cannot be combined/,
+    );
+    checkBrowserSupport('webkit', {connect: 'ws://localhost:3000/'});
+  });
+
+  it('should adapt device descriptors to the engine', () => {
+    const webkit = getDeviceOptions('iPhone 13', 'webkit');
+    assert.strictEqual(webkit.isMobile, true);
+    assert.strictEqual(webkit.defaultBrowserType, undefined);
+
+    const firefox = getDeviceOptions('iPhone 13', 'firefox');
+    assert.strictEqual(firefox.isMobile, undefined);
+    assert.deepStrictEqual(firefox.viewport, webkit.viewport);
+
+    assert.strictEqual(getDeviceOptions('Not A Device'), null);
+  });
+
+  it('should reuse the context of an attached browser', async () => {
+    const created = [];
+    const fakeBrowser = contexts => ({
+      contexts: () => contexts,
+      newContext: async options => {
+        created.push(options);
+        return {own: true};
+      },
+    });
+
+    const connectOverCDP = chromium.connectOverCDP;
+    try {
+      const existing = {own: false};
+      chromium.connectOverCDP = async () => fakeBrowser([existing]);
+      const attached = await openBrowserContext('chromium', {
+        cdp: 'http://localhost:9222',
+        contextOptions: {viewport: null},
+      });
+      assert.strictEqual(attached.context, existing);
+      assert.strictEqual(attached.shared, true);
+      assert.strictEqual(created.length, 0);
+
+      chromium.connectOverCDP = async () => fakeBrowser([]);
+      const fresh = await openBrowserContext('chromium', {
+        cdp: 'http://localhost:9222',
+        contextOptions: {viewport: null},
+      });
+      assert.deepStrictEqual(fresh.context, {own: true});
+      assert.strictEqual(fresh.shared, false);
+      assert.deepStrictEqual(created, [{viewport: null}]);
+    } finally {
+      chromium.connectOverCDP = connectOverCDP;
+    }
+  });
+
+  describe('attached browser context', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-browser-'));
+
+    after(() => fs.remove(tmpDir));
+
+    it('should leave the shared context unchanged', async () => {
+      const calls = [];
+      const record =
+        name =>
+        async (...args) =>
+          calls.push([name, ...args]);
+      const existing = {
+        addCookies: record('addCookies'),
+        setExtraHTTPHeaders: record('setExtraHTTPHeaders'),
+        request: {get: record('get')},
+      };
+
+      const cookiesPath = path.join(tmpDir, 'cookies.json');
+      await fs.writeJson(cookiesPath, [{name: 'a', value: '1', url: 'x'}]);
+
+      const crawler = new Crawler({
+        url: 'https://example.com/',
+        output: tmpDir,
+        cdp: 'http://localhost:9222',
+        viewport: {width: 800, height: 600},
+        userAgent: 'Bot',
+        cookies: cookiesPath,
+        headers: {'X-Env': 'ci'},
+        quiet: true,
+        logFile: path.join(tmpDir, 'log.txt'),
+      });
+      const warnings = [];
+      crawler.logger.warn = message => warnings.push(message);
+
+      const connectOverCDP = chromium.connectOverCDP;
+      try {
+        chromium.connectOverCDP = async () => ({contexts: () => [existing]});
+        await crawler._initBrowser();
+      } finally {
+        chromium.connectOverCDP = connectOverCDP;
+      }
+
+      assert.strictEqual(crawler.context, existing);
+      assert.deepStrictEqual(calls, []);
+      assert.deepStrictEqual(warnings, [
+        'Reusing the attached browser context, ignoring --user-agent, --cookies',
+      ]);
+
+      // Our own pages and requests still get the viewport and headers
+      const page = {
+        setViewportSize: record('setViewportSize'),
+        setExtraHTTPHeaders: record('setExtraHTTPHeaders'),
+      };
+      await crawler._preparePage(page);
+      await crawler.request.get('https://example.com/robots.txt', {
+        timeout: 1000,
+      });
+      assert.deepStrictEqual(calls, [
+        ['setViewportSize', {width: 800, height: 600}],
+        ['setExtraHTTPHeaders', {'X-Env': 'ci'}],
+        [
+          'get',
+          'https://example.com/robots.txt',
+          {timeout: 1000, headers: {'X-Env': 'ci'}},
+        ],
+      ]);
+    });
+  });
+});
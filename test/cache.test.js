@@ -0,0 +1,63 @@
+import assert from 'node:assert';
+import {describe, it} from 'mocha';
+import {
+  createCache,
+  recordValidators,
+  getConditionalHeaders,
+  isUnchanged,
+} from '../src/cache.js';
+
+describe('Cache', () => {
+  const url = 'https://example.com/style.css';
+
+  describe('getConditionalHeaders', () => {
+    it('should build conditional headers from recorded validators', () => {
+      const cache = createCache();
+      recordValidators(cache, url, {
+        headers: {
+          etag: '"abc"',
+          'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT',
+        },
+      });
+
+      assert.deepStrictEqual(getConditionalHeaders(cache, url), {
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT',
+      });
+    });
+
+    it('should return no headers for unknown URLs', () => {
+      assert.deepStrictEqual(getConditionalHeaders(createCache(), url), {});
+    });
+  });
+
+  describe('isUnchanged', () => {
+    it('should compare ETags first', () => {
+      const cache = createCache();
+      recordValidators(cache, url, {headers: {etag: '"abc"'}});
+
+      assert.strictEqual(
+        isUnchanged(cache, url, {headers: {etag: '"abc"'}}),
+        true,
+      );
+      assert.strictEqual(
+        isUnchanged(cache, url, {headers: {etag: '"def"'}}),
+        false,
+      );
+    });
+
+    it('should fall back to content hashes without validators', () => {
+      const cache = createCache();
+      recordValidators(cache, url, {body: Buffer.from('body {}')});
+
+      assert.strictEqual(
+        isUnchanged(cache, url, {body: Buffer.from('body {}')}),
+        true,
+      );
+      assert.strictEqual(
+        isUnchanged(cache, url, {body: Buffer.from('body {color: red}')}),
+        false,
+      );
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {loadProjectConfig, resolveProfile} from '../src/config.js';
+
+describe('Project config', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-config-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should merge a profile over the base options', () => {
+    const values = resolveProfile(
+      {
+        'wait-time': 500,
+        depth: 2,
+        overrides: [{match: '**/app/**', wait: 'load'}],
+        profiles: {
+          mobile: {
+            device: 'iPhone 13',
+            depth: 1,
+            overrides: [{match: '**/app/**', waitTime: 2000}],
+          },
+        },
+      },
+      'mobile',
+    );
+
+    assert.deepStrictEqual(values, {
+      waitTime: 500,
+      depth: 1,
+      device: 'iPhone 13',
+      overrides: [
+        {match: '**/app/**', wait: 'load'},
+        {match: '**/app/**', waitTime: 2000},
+      ],
+    });
+    assert.throws(() => resolveProfile({}, 'tablet'), /Unknown profile/);
+  });
+
+  it('should only allow page options in overrides', () => {
+    assert.throws(
+      () => resolveProfile({overrides: [{match: '*', depth: 3}]}),
+      /"depth" cannot be overridden/,
+    );
+    assert.throws(
+      () => resolveProfile({overrides: [{wait: 'load'}]}),
+      /missing "match"/,
+    );
+  });
+
+  it('should discover a config file in the working directory', async () => {
+    assert.strictEqual(await loadProjectConfig({cwd: tmpDir}), null);
+
+    await fs.writeFile(
+      path.join(tmpDir, '.smippo.yaml'),
+      'url: https://example.com\ndepth: 3\n',
+    );
+    const config = await loadProjectConfig({cwd: tmpDir});
+    assert.strictEqual(config.file, path.join(tmpDir, '.smippo.yaml'));
+    assert.deepStrictEqual(config.values, {
+      url: 'https://example.com',
+      depth: 3,
+    });
+
+    await assert.rejects(
+      loadProjectConfig({cwd: tmpDir, file: 'missing.json'}),
+      /not found/,
+    );
+  });
+});
@@ -0,0 +1,151 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {Crawler} from '../src/crawler.js';
+import {createManifest, readCrawlState} from '../src/manifest.js';
+import {createCache} from '../src/cache.js';
+
+describe('Crawl state', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-state-'));
+
+  after(() => fs.remove(tmpDir));
+
+  function createCrawler(options = {}) {
+    const crawler = new Crawler({
+      url: 'https://example.com/',
+      output: tmpDir,
+      depth: 2,
+      quiet: true,
+      logFile: path.join(tmpDir, 'log.txt'),
+      ...options,
+    });
+    // Record queued pages instead of capturing them
+    crawler.queued = [];
+    crawler.queue = {add: url => crawler.queued.push(url)};
+    return crawler;
+  }
+
+  it('should round-trip the frontier through a checkpoint', async () => {
+    const crawler = createCrawler();
+    crawler.manifest = createManifest(crawler.url, crawler.options);
+    crawler.cache = createCache();
+    crawler.visited = new Set([
+      'https://example.com/',
+      'https://example.com/a',
+      'https://example.com/b',
+      'https://example.com/c',
+    ]);
+    crawler.pending.set('https://example.com/b', 1);
+    crawler.deferred.set('https://example.com/c', 0);
+    crawler.inFlight.set('https://example.com/a', 1);
+    crawler.started = 2;
+
+    await crawler.checkpoint();
+    const state = await readCrawlState(tmpDir);
+    assert.strictEqual(state.started, 1);
+
+    const resumed = createCrawler();
+    await resumed._restoreState(state);
+
+    assert.deepStrictEqual([...resumed.visited], state.visited);
+    assert.deepStrictEqual(resumed.queued, [
+      'https://example.com/a',
+      'https://example.com/b',
+      'https://example.com/c',
+    ]);
+    assert.deepStrictEqual(
+      [...resumed.pending],
+      [
+        ['https://example.com/a', 1],
+        ['https://example.com/b', 1],
+        ['https://example.com/c', 0],
+      ],
+    );
+    assert.strictEqual(resumed.started, 1);
+  });
+
+  it('should count earlier runs against --max-pages', async () => {
+    const resumed = createCrawler({maxPages: 1});
+    await resumed._restoreState({
+      visited: ['https://example.com/', 'https://example.com/a'],
+      pending: [{url: 'https://example.com/a', remainingDepth: 1}],
+      started: 1,
+    });
+
+    await resumed._runPage('https://example.com/a', 1);
+
+    assert.deepStrictEqual(
+      [...resumed.deferred],
+      [['https://example.com/a', 1]],
+    );
+    assert.strictEqual(resumed.started, 1);
+  });
+
+  it('should not resume URLs the current filters exclude', async () => {
+    const resumed = createCrawler({exclude: ['**/private/**']});
+    await resumed._restoreState({
+      visited: [
+        'https://example.com/',
+        'https://example.com/a',
+        'https://example.com/private/b',
+      ],
+      pending: [
+        {url: 'https://example.com/a', remainingDepth: 1},
+        {url: 'https://example.com/private/b', remainingDepth: 1},
+      ],
+      started: 1,
+    });
+
+    assert.deepStrictEqual(resumed.queued, ['https://example.com/a']);
+    assert.deepStrictEqual(
+      [...resumed.pending],
+      [['https://example.com/a', 1]],
+    );
+  });
+
+  it('should only count reachable pages without links as removed', () => {
+    const crawler = createCrawler({update: true});
+    crawler.cache = createCache();
+    crawler.manifest = createManifest(crawler.url, crawler.options);
+    crawler.manifest.pages = [
+      '/',
+      '/kept',
+      '/unlinked',
+      '/gone',
+      '/deep',
+      '/deeper',
+    ].map(page => ({url: `https://example.com${page}`}));
+    crawler.cache.links = {
+      'https://example.com/': [
+        'https://example.com/kept',
+        'https://example.com/unlinked',
+        'https://example.com/deep',
+      ],
+      'https://example.com/deep': ['https://example.com/deeper'],
+    };
+    crawler._loadPreviousCapture();
+
+    // This run: the home page dropped a link, /gone answered 404 and
+    // /deep was skipped by --max-pages
+    crawler.visited = new Set([
+      'https://example.com/',
+      'https://example.com/kept',
+      'https://example.com/gone',
+    ]);
+    crawler.cache.links['https://example.com/'] = [
+      'https://example.com/kept',
+      'https://example.com/deep',
+    ];
+    crawler.changes.set('https://example.com/', 'changed');
+    crawler.changes.set('https://example.com/kept', 'unchanged');
+    crawler.changes.set('https://example.com/gone', 'removed');
+
+    const summary = crawler._summarizeChanges();
+    assert.deepStrictEqual(summary.removedUrls, [
+      'https://example.com/gone',
+      'https://example.com/unlinked',
+    ]);
+  });
+});
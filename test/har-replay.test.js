@@ -0,0 +1,94 @@
+import assert from 'node:assert';
+import {describe, it} from 'mocha';
+import {
+  HarArchive,
+  getReplayTarget,
+  toReplayLocation,
+} from '../src/har-replay.js';
+
+function entry(method, url, status, headers, text, postData) {
+  return {
+    startedDateTime: '2024-01-01T00:00:00.000Z',
+    request: {
+      method,
+      url,
+      headers: [],
+      ...(postData ? {postData: {text: postData}} : {}),
+    },
+    response: {
+      status,
+      statusText: '',
+      headers: Object.entries(headers).map(([name, value]) => ({name, value})),
+      content: {text},
+    },
+  };
+}
+
+describe('HAR replay', () => {
+  const archive = new HarArchive([
+    entry(
+      'GET',
+      'https://example.com/',
+      200,
+      {
+        'Content-Type': 'text/html',
+        'Content-Encoding': 'gzip',
+        'Content-Security-Policy': "script-src 'self'",
+        'Set-Cookie': 'a=1',
+        Link: '</a.css>; rel=preload',
+        link: '</b.js>; rel=preload',
+      },
+      '<h1>Home</h1>',
+    ),
+    entry('POST', 'https://example.com/api', 200, {}, 'first', '{"page":1}'),
+    entry('POST', 'https://example.com/api', 200, {}, 'second', '{"page":2}'),
+    entry('GET', 'https://example.com/old', 301, {Location: '/new'}, ''),
+  ]);
+
+  it('should find responses by method, URL and body', () => {
+    const home = archive.find({url: 'https://example.com/#top'});
+    assert.strictEqual(home.body.toString(), '<h1>Home</h1>');
+    assert.strictEqual(archive.find({method: 'HEAD', url: home.url}), home);
+    assert.strictEqual(archive.rootUrl, 'https://example.com/');
+    assert.strictEqual(archive.size, 4);
+
+    const api = {method: 'POST', url: 'https://example.com/api'};
+    assert.strictEqual(
+      archive.find({...api, body: '{"page":2}'}).body.toString(),
+      'second',
+    );
+    assert.strictEqual(
+      archive.find({...api, body: '{}'}).body.toString(),
+      'first',
+    );
+    assert.strictEqual(archive.find({url: 'https://example.com/none'}), null);
+  });
+
+  it('should keep repeated headers and drop encoding, cookies and CSP', () => {
+    const {headers} = archive.find({url: 'https://example.com/'});
+    assert.deepStrictEqual(headers.link, [
+      '</a.css>; rel=preload',
+      '</b.js>; rel=preload',
+    ]);
+    assert.strictEqual(headers['content-encoding'], undefined);
+    assert.strictEqual(headers['set-cookie'], undefined);
+    assert.strictEqual(headers['content-security-policy'], undefined);
+  });
+
+  it('should read /_replay/ paths and keep redirects inside them', () => {
+    assert.strictEqual(
+      getReplayTarget('/_replay/https://example.com/a?b=1'),
+      'https://example.com/a?b=1',
+    );
+    assert.strictEqual(
+      getReplayTarget('/_replay/https:/example.com/a'),
+      'https://example.com/a',
+    );
+    assert.strictEqual(getReplayTarget('/_replay/ftp://example.com/'), null);
+    assert.strictEqual(getReplayTarget('/example.com/index.html'), null);
+    assert.strictEqual(
+      toReplayLocation('/new', 'https://example.com/old'),
+      '/_replay/https://example.com/new',
+    );
+  });
+});
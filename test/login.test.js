@@ -0,0 +1,58 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {
+  loadLoginRecipe,
+  resolveFieldValue,
+  isLoginRedirect,
+} from '../src/login.js';
+
+describe('Login recipe', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-login-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should load YAML recipes and reject incomplete ones', async () => {
+    const file = path.join(tmpDir, 'login.yaml');
+    await fs.writeFile(
+      file,
+      "url: https://example.com/login\nfields:\n  - selector: '#user'\n    env: USER_NAME\n",
+    );
+    const recipe = await loadLoginRecipe(file);
+    assert.strictEqual(recipe.fields[0].env, 'USER_NAME');
+
+    const broken = path.join(tmpDir, 'broken.json');
+    await fs.writeJson(broken, {url: 'https://example.com/login'});
+    await assert.rejects(loadLoginRecipe(broken), /at least one field/);
+  });
+
+  it('should resolve values from environment variables', () => {
+    const env = {USER_NAME: 'me', DOMAIN: 'example.com'};
+    assert.strictEqual(resolveFieldValue({env: 'USER_NAME'}, env), 'me');
+    assert.strictEqual(
+      resolveFieldValue({value: 'me@${DOMAIN}'}, env),
+      'me@example.com',
+    );
+    assert.throws(() => resolveFieldValue({env: 'MISSING'}, env), /MISSING/);
+  });
+
+  it('should detect redirects to the login page', () => {
+    const recipe = {url: 'https://example.com/login'};
+    assert.ok(
+      isLoginRedirect(
+        recipe,
+        'https://example.com/login?next=/a',
+        'https://example.com/a',
+      ),
+    );
+    assert.ok(
+      !isLoginRedirect(
+        recipe,
+        'https://example.com/a',
+        'https://example.com/a',
+      ),
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {createManifest, writeManifest} from '../src/manifest.js';
+import {exportOffline, injectServiceWorker} from '../src/offline.js';
+
+describe('Offline bundle', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-offline-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should register the worker relative to the page', () => {
+    const html = injectServiceWorker(
+      '<html><head><title>Docs</title></head></html>',
+      'example.com/docs/index.html',
+    );
+
+    assert.match(html, /register\("\.\.\/\.\.\/smippo-sw\.js"\)/);
+    assert.ok(html.indexOf('data-smippo-sw') < html.indexOf('</head>'));
+    assert.strictEqual(injectServiceWorker(html, 'index.html'), html);
+  });
+
+  it('should copy the capture and write a precache manifest', async () => {
+    const site = path.join(tmpDir, 'site');
+    const manifest = createManifest('https://example.com/', {});
+    manifest.pages.push({
+      url: 'https://example.com/',
+      localPath: 'example.com/index.html',
+    });
+    manifest.assets.push({
+      url: 'https://example.com/data.json?page=2',
+      localPath: 'example.com/data-1a2b3c.json',
+    });
+    await writeManifest(site, manifest);
+    await fs.outputFile(
+      path.join(site, 'example.com/index.html'),
+      '<html><head></head><body>Home</body></html>',
+    );
+    await fs.outputFile(path.join(site, 'example.com/data-1a2b3c.json'), '[]');
+    await fs.outputFile(path.join(site, '.smippo/auth.json'), '{}');
+
+    const result = await exportOffline(site);
+    assert.strictEqual(result.bundleDir, `${site}-offline`);
+    assert.strictEqual(result.files, 2);
+
+    const bundle = result.bundleDir;
+    assert.ok(!(await fs.pathExists(path.join(bundle, '.smippo'))));
+    assert.ok(await fs.pathExists(path.join(bundle, 'smippo-sw.js')));
+    assert.match(
+      await fs.readFile(path.join(bundle, 'example.com/index.html'), 'utf8'),
+      /register\("\.\.\/smippo-sw\.js"\)/,
+    );
+
+    const precache = await fs.readJson(
+      path.join(bundle, 'smippo-precache.json'),
+    );
+    assert.deepStrictEqual(precache.origins, ['https://example.com']);
+    assert.deepStrictEqual(
+      precache.files.map(file => [file.path, file.url]),
+      [
+        [
+          'example.com/data-1a2b3c.json',
+          'https://example.com/data.json?page=2',
+        ],
+        ['example.com/index.html', 'https://example.com/'],
+      ],
+    );
+
+    // Exporting again replaces the bundle, other directories are refused
+    await exportOffline(site);
+    await assert.rejects(exportOffline(site, {output: site}), /outside/);
+    await assert.rejects(
+      exportOffline(site, {output: path.join(site, '.smippo', '..', '..')}),
+      /not empty/,
+    );
+  });
+});
@@ -0,0 +1,30 @@
+import {describe, it} from 'mocha';
+import assert from 'node:assert';
+import {CrawlPlan} from '../src/plan.js';
+
+describe('CrawlPlan', () => {
+  it('should summarize planned pages, assets and skip reasons', () => {
+    const plan = new CrawlPlan('https://example.com/', {depth: 1});
+
+    plan.addPage('https://example.com/', {
+      remainingDepth: 1,
+      status: 200,
+      assets: ['https://example.com/a.css', 'https://example.com/b.js'],
+    });
+    plan.addSkipped('https://example.com/deep', 'depth');
+    plan.addSkipped('https://other.com/', 'scope');
+    plan.addPage('https://example.com/deep', {
+      remainingDepth: 0,
+      assets: ['https://example.com/a.css'],
+    });
+
+    const json = plan.toJSON();
+    assert.deepStrictEqual(json.summary, {
+      pages: 2,
+      assets: 2,
+      skipped: 1,
+      skippedByReason: {scope: 1},
+    });
+    assert.strictEqual(json.pages[1].depth, 1);
+  });
+});
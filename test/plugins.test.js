@@ -0,0 +1,61 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {PluginManager, loadPlugins} from '../src/plugins.js';
+
+describe('Plugins', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-plugins-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should chain transforms and veto follows in plugin order', async () => {
+    const plugins = new PluginManager([
+      {transformHtml: html => html.replace('a', 'b'), shouldFollow: () => true},
+      {transformHtml: () => undefined},
+      {
+        transformHtml: html => `${html}!`,
+        shouldFollow: url => !/skip/.test(url),
+      },
+    ]);
+
+    assert.strictEqual(await plugins.transform('transformHtml', 'a'), 'b!');
+    assert.strictEqual(await plugins.every('shouldFollow', '/page'), true);
+    assert.strictEqual(await plugins.every('shouldFollow', '/skip'), false);
+    assert.strictEqual(plugins.has('afterSave'), false);
+  });
+
+  it('should stop transforming a dropped resource', async () => {
+    let calls = 0;
+    const plugins = new PluginManager([
+      {transformResource: () => null},
+      {transformResource: () => calls++},
+    ]);
+
+    assert.strictEqual(await plugins.transform('transformResource', {}), null);
+    assert.strictEqual(calls, 0);
+  });
+
+  it('should load plugin modules and factories with options', async () => {
+    await fs.writeFile(
+      path.join(tmpDir, 'tag.mjs'),
+      'export default options => ({transformHtml: html => html + options.tag});',
+    );
+
+    const plugins = await loadPlugins(
+      [{module: './tag.mjs', options: {tag: '<!-- x -->'}}],
+      {cwd: tmpDir},
+    );
+    assert.strictEqual(
+      await plugins.transform('transformHtml', '<p></p>'),
+      '<p></p><!-- x -->',
+    );
+
+    await fs.writeFile(path.join(tmpDir, 'empty.mjs'), 'export default {};');
+    await assert.rejects(
+      loadPlugins(['./empty.mjs'], {cwd: tmpDir}),
+      /implements none of/,
+    );
+  });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {createManifest, writeManifest} from '../src/manifest.js';
+import {loadUrlMap, findCapturedFile, getPlaceholder} from '../src/proxy.js';
+
+describe('Proxy', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-proxy-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should map captured URLs to files for either scheme', async () => {
+    const manifest = createManifest('https://example.com/', {});
+    manifest.pages.push({
+      url: 'https://example.com/docs/',
+      localPath: 'example.com/docs/index.html',
+    });
+    manifest.assets.push({
+      url: 'http://cdn.example.com/app.js?b=2&a=1',
+      localPath: 'cdn.example.com/app-1a2b.js',
+    });
+    await writeManifest(tmpDir, manifest);
+
+    const urlMap = await loadUrlMap(tmpDir);
+    assert.strictEqual(
+      findCapturedFile(urlMap, 'http://example.com/docs'),
+      path.join(tmpDir, 'example.com/docs/index.html'),
+    );
+    assert.strictEqual(
+      findCapturedFile(urlMap, 'http://cdn.example.com/app.js?a=1&b=2'),
+      path.join(tmpDir, 'cdn.example.com/app-1a2b.js'),
+    );
+    assert.strictEqual(findCapturedFile(urlMap, 'http://example.com/x'), null);
+
+    await assert.rejects(loadUrlMap(path.join(tmpDir, 'none')), /manifest/);
+  });
+
+  it('should pick placeholders by request type', () => {
+    const request = (url, accept) => ({url, headers: {accept}});
+
+    const image = getPlaceholder(request('http://a.example/logo.png'), '');
+    assert.strictEqual(image.contentType, 'image/gif');
+
+    const page = getPlaceholder(
+      request('http://a.example/<b>', 'text/html,*/*'),
+      'application/octet-stream',
+    );
+    assert.match(page.body.toString(), /&lt;b&gt; is not part of this capture/);
+
+    const script = getPlaceholder(
+      request('http://a.example/app.js', '*/*'),
+      'application/javascript',
+    );
+    assert.deepStrictEqual(script, {
+      contentType: 'application/javascript',
+      body: Buffer.alloc(0),
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, after} from 'mocha';
+import {
+  ReplayRecorder,
+  readReplayIndex,
+  findReplay,
+  injectReplayShim,
+} from '../src/replay.js';
+
+describe('API replay', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-replay-'));
+
+  after(() => fs.remove(tmpDir));
+
+  it('should record responses and find them by method, URL and body', async () => {
+    const recorder = new ReplayRecorder(tmpDir);
+    await recorder.record({
+      method: 'GET',
+      url: 'https://api.example/items?page=1',
+      status: 200,
+      contentType: 'application/json',
+      body: Buffer.from('{"items":[1]}'),
+    });
+    await recorder.record({
+      method: 'POST',
+      url: 'https://api.example/search',
+      requestBody: '{"q":"shoes"}',
+      status: 201,
+      contentType: 'application/json',
+      body: Buffer.from('{"hits":2}'),
+    });
+    await recorder.write();
+
+    const index = await readReplayIndex(tmpDir);
+    const search = {method: 'POST', url: 'https://api.example/search'};
+
+    const exact = findReplay(index, {...search, body: '{"q":"shoes"}'});
+    assert.strictEqual(exact.status, 201);
+    const body = await fs.readFile(
+      path.join(tmpDir, '.smippo', 'replay', exact.file),
+      'utf8',
+    );
+    assert.strictEqual(body, '{"hits":2}');
+
+    // Another body still gets the recording for the same method and URL
+    assert.strictEqual(findReplay(index, {...search, body: '{}'}), exact);
+    assert.strictEqual(
+      findReplay(index, {method: 'GET', url: 'https://api.example/search'}),
+      null,
+    );
+
+    // Reopening keeps earlier recordings
+    const reopened = new ReplayRecorder(tmpDir);
+    await reopened.open();
+    assert.strictEqual(reopened.size, 2);
+  });
+
+  it('should inject the shim first in head with the endpoint path', () => {
+    const html = injectReplayShim(
+      '<html><head lang="en"><script src="app.js"></script></head></html>',
+      {
+        pageUrl: 'https://example.com/app/</script>',
+        pagePath: path.join('example.com', 'app', 'index.html'),
+      },
+    );
+
+    assert.match(html, /^<html><head lang="en"><script data-smippo-replay>/);
+    assert.ok(html.includes('"../../__smippo/replay"'));
+    assert.ok(html.includes('https://example.com/app/\\u003c/script>'));
+    assert.strictEqual(html.match(/<\/script>/g).length, 2);
+  });
+});
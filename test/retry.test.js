@@ -0,0 +1,70 @@
+import {describe, it} from 'mocha';
+import assert from 'node:assert';
+import http from 'node:http';
+import {fetchMissingResources} from '../src/utils/fetch-missing.js';
+import {
+  HttpError,
+  createRetryPolicy,
+  getRetryDelay,
+  parseRetryAfter,
+  withRetry,
+} from '../src/utils/retry.js';
+
+describe('Retry', () => {
+  it('should back off exponentially unless Retry-After is given', () => {
+    const policy = createRetryPolicy({retryBackoff: 500});
+    assert.strictEqual(getRetryDelay(policy, 1), 500);
+    assert.strictEqual(getRetryDelay(policy, 3), 2000);
+    assert.strictEqual(getRetryDelay(policy, 1, '3'), 3000);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+  });
+
+  it('should retry listed statuses and report attempts', async () => {
+    const policy = createRetryPolicy({retries: 2, retryBackoff: 0});
+
+    let calls = 0;
+    const result = await withRetry(async () => {
+      if (++calls < 3) throw new HttpError(503);
+      return 'ok';
+    }, policy);
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(calls, 3);
+
+    await assert.rejects(
+      withRetry(async () => {
+        throw new HttpError(404);
+      }, policy),
+      error => error.status === 404 && error.attempts === 1,
+    );
+  });
+
+  it('should report each resource response once across retries', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      if (++requests === 1) {
+        res.writeHead(503, {'Retry-After': '0'});
+        res.end();
+        return;
+      }
+      res.end('body');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/app.js`;
+
+    const responses = [];
+    const retries = [];
+    try {
+      const results = await fetchMissingResources([url], {
+        retry: createRetryPolicy({retries: 2, retryBackoff: 0}),
+        onResponse: (_url, status) => responses.push(status),
+        onRetry: (_url, info) => retries.push(info.error.status),
+      });
+      assert.strictEqual(results.get(url).body.toString(), 'body');
+    } finally {
+      server.close();
+    }
+
+    assert.deepStrictEqual(responses, [503, 200]);
+    assert.deepStrictEqual(retries, [503]);
+  });
+});
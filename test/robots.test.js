@@ -0,0 +1,62 @@
+import {describe, it} from 'mocha';
+import assert from 'node:assert';
+import {RobotsHandler} from '../src/robots.js';
+
+describe('RobotsHandler', () => {
+  it('should fetch robots.txt once per origin', async () => {
+    const robots = new RobotsHandler();
+    let fetches = 0;
+    const fetchFn = async () => {
+      fetches++;
+      return 'User-agent: *\nDisallow: /private\n';
+    };
+
+    const results = await Promise.all([
+      robots.isAllowed('https://example.com/a', fetchFn),
+      robots.isAllowed('https://example.com/private/b', fetchFn),
+      robots.isAllowed('https://example.com/c', fetchFn),
+    ]);
+
+    assert.deepStrictEqual(results, [true, false, true]);
+    assert.strictEqual(fetches, 1);
+  });
+
+  it('should read noindex/nofollow from headers and meta tags', () => {
+    const robots = new RobotsHandler();
+
+    assert.deepStrictEqual(
+      robots.getPageDirectives({'x-robots-tag': 'googlebot: noindex'}),
+      {noindex: false, nofollow: false},
+    );
+    assert.deepStrictEqual(
+      robots.getPageDirectives({'x-robots-tag': 'max-snippet: 20, none'}),
+      {noindex: true, nofollow: true},
+    );
+    assert.deepStrictEqual(
+      robots.getPageDirectives(
+        {},
+        '<head><meta name="robots" content="NOFOLLOW"></head>',
+      ),
+      {noindex: false, nofollow: true},
+    );
+  });
+
+  it('should match directives against the product token only', () => {
+    const robots = new RobotsHandler({
+      userAgent: 'ArchiveBot/2.1 (compatible; Mozilla/5.0)',
+    });
+    const directives = tag => robots.getPageDirectives({'x-robots-tag': tag});
+
+    assert.strictEqual(directives('archivebot: noindex').noindex, true);
+    assert.strictEqual(directives('ARCHIVEBOT: noindex').noindex, true);
+    assert.strictEqual(directives('smippo: noindex').noindex, true);
+    // Substrings of the user agent don't count
+    assert.strictEqual(directives('bot: noindex').noindex, false);
+    assert.strictEqual(directives('mozilla: noindex').noindex, false);
+    assert.strictEqual(
+      robots.getPageDirectives({}, '<meta name="compatible" content="noindex">')
+        .noindex,
+      false,
+    );
+  });
+});
@@ -0,0 +1,199 @@
+import {describe, it, after} from 'mocha';
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {HostScheduler} from '../src/scheduler.js';
+import {Crawler, parsePriorityPatterns} from '../src/crawler.js';
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('HostScheduler', () => {
+  it('should cap concurrency globally and per host', async () => {
+    const scheduler = new HostScheduler({concurrency: 3, hostConcurrency: 1});
+    const running = new Map();
+    let peak = 0;
+    let peakPerHost = 0;
+
+    const task = host => async () => {
+      running.set(host, (running.get(host) || 0) + 1);
+      const total = [...running.values()].reduce((a, b) => a + b, 0);
+      peak = Math.max(peak, total);
+      peakPerHost = Math.max(peakPerHost, running.get(host));
+      await tick(5);
+      running.set(host, running.get(host) - 1);
+    };
+
+    for (const host of ['a', 'a', 'b', 'b', 'c', 'c', 'd']) {
+      scheduler.add(`https://${host}.example.com/`, task(host));
+    }
+    await scheduler.onIdle();
+
+    assert.strictEqual(peak, 3);
+    assert.strictEqual(peakPerHost, 1);
+  });
+
+  it('should slow down a host that answers 429', async () => {
+    const scheduler = new HostScheduler({concurrency: 4});
+    scheduler.reportResponse('https://a.example.com/', 429, 30);
+
+    const started = [];
+    const start = Date.now();
+    scheduler.add('https://a.example.com/x', async () => started.push('a'));
+    scheduler.add('https://b.example.com/x', async () => started.push('b'));
+    await scheduler.onIdle();
+
+    assert.deepStrictEqual(started, ['b', 'a']);
+    assert.ok(Date.now() - start >= 25);
+  });
+
+  it('should space throttled requests by the host delay', async () => {
+    const scheduler = new HostScheduler({
+      hostDelay: 10,
+      getHostDelay: url => (url.includes('slow') ? 30 : 0),
+    });
+
+    const start = Date.now();
+    await scheduler.throttle('https://slow.example.com/');
+    await scheduler.throttle('https://slow.example.com/');
+    assert.ok(Date.now() - start >= 25);
+
+    // Tasks wait for a throttled request too
+    const throttled = Date.now();
+    await scheduler.throttle('https://fast.example.com/');
+    let ran = 0;
+    scheduler.add('https://fast.example.com/', async () => (ran = Date.now()));
+    await scheduler.onIdle();
+    assert.ok(ran - throttled >= 8);
+  });
+
+  describe('ordering', () => {
+    // Queue tasks behind a running one, then record the order they run in
+    async function runOrder(priorities) {
+      const scheduler = new HostScheduler({concurrency: 1});
+      const order = [];
+      let release;
+      const gate = new Promise(resolve => (release = resolve));
+      scheduler.add('https://example.com/', () => gate);
+      priorities.forEach((priority, index) =>
+        scheduler.add('https://example.com/', async () => order.push(index), {
+          priority,
+        }),
+      );
+      release();
+      await scheduler.onIdle();
+      return order;
+    }
+
+    it('should run equal priorities in the order they were added', async () => {
+      assert.deepStrictEqual(await runOrder([0, 0, 0, 0]), [0, 1, 2, 3]);
+    });
+
+    it('should run the latest task first with growing priorities', async () => {
+      assert.deepStrictEqual(await runOrder([1, 2, 3, 4]), [3, 2, 1, 0]);
+    });
+
+    it('should run higher priorities first, ties by insertion', async () => {
+      const priorities = Array.from({length: 200}, (_, i) => (i * 7) % 5);
+      const expected = priorities
+        .map((priority, index) => ({priority, index}))
+        .sort((a, b) => b.priority - a.priority || a.index - b.index)
+        .map(entry => entry.index);
+
+      assert.deepStrictEqual(await runOrder(priorities), expected);
+    });
+  });
+});
+
+describe('Crawl order', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-order-'));
+
+  after(() => fs.remove(tmpDir));
+
+  const createCrawler = options =>
+    new Crawler({
+      url: 'https://example.com/',
+      output: tmpDir,
+      depth: 3,
+      quiet: true,
+      logFile: path.join(tmpDir, 'log.txt'),
+      ...options,
+    });
+
+  it('should parse --priority pattern=weight values', () => {
+    assert.deepStrictEqual(
+      parsePriorityPatterns(['**/docs/**=20', '**/pricing*', '**/q?a=b=-1.5']),
+      [
+        {pattern: '**/docs/**', weight: 20},
+        {pattern: '**/pricing*', weight: 10},
+        {pattern: '**/q?a=b', weight: -1.5},
+      ],
+    );
+  });
+
+  it('should prefer shallow pages for bfs and recent ones for dfs', () => {
+    const bfs = createCrawler({order: 'bfs'});
+    assert.ok(
+      bfs._getPriority('https://example.com/a', 0) >
+        bfs._getPriority('https://example.com/b', 1),
+    );
+
+    const dfs = createCrawler({order: 'dfs'});
+    const first = dfs._getPriority('https://example.com/a', 0);
+    dfs.queue.add('https://example.com/a', async () => {}, {priority: first});
+    assert.ok(dfs._getPriority('https://example.com/b', 1) > first);
+  });
+
+  it('should score pages by --priority weights minus depth', () => {
+    const crawler = createCrawler({
+      order: 'priority',
+      priorityPatterns: parsePriorityPatterns([
+        '**/docs/**=20',
+        '**/pricing*',
+        '**/blog/**=-10',
+      ]),
+    });
+
+    assert.strictEqual(
+      crawler._getPriority('https://example.com/docs/a', 2),
+      18,
+    );
+    assert.strictEqual(
+      crawler._getPriority('https://example.com/pricing', 0),
+      10,
+    );
+    assert.strictEqual(
+      crawler._getPriority('https://example.com/blog/x', 1),
+      -11,
+    );
+    assert.strictEqual(
+      crawler._getPriority('https://example.com/other', 1),
+      -1,
+    );
+  });
+
+  it('should count levels from each seed of a URL list', async () => {
+    const crawler = createCrawler({
+      order: 'bfs',
+      seeds: [
+        {url: 'https://example.com/deep', depth: 3},
+        {url: 'https://example.com/shallow', depth: 1},
+      ],
+    });
+    const priorities = new Map();
+    crawler.queue = {
+      add: (url, _task, {priority}) => priorities.set(url, priority),
+    };
+
+    for (const seed of crawler.seeds) {
+      await crawler._crawl(seed.url, seed.depth);
+    }
+    await crawler._crawlLinks(['https://example.com/a'], 3, 0);
+    await crawler._crawlLinks(['https://example.com/b'], 1, 0);
+
+    assert.deepStrictEqual(
+      [...priorities.values()].map(priority => -priority),
+      [0, 0, 1, 1],
+    );
+  });
+});
@@ -0,0 +1,366 @@
+import assert from 'node:assert';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, before, after} from 'mocha';
+import {createServer} from '../src/server.js';
+import {ReplayRecorder} from '../src/replay.js';
+import {createManifest, writeManifest} from '../src/manifest.js';
+
+describe('Server', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-server-'));
+
+  after(() => fs.remove(tmpDir));
+
+  // Plain HTTP request with full control over the headers
+  function request(url, options = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(url, options, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+          }),
+        );
+      });
+      req.on('error', reject);
+      req.end(options.body);
+    });
+  }
+
+  async function startServer(options) {
+    const instance = await createServer({port: 0, quiet: true, ...options});
+    instance.baseUrl = `http://127.0.0.1:${instance.server.address().port}`;
+    return instance;
+  }
+
+  describe('API replay endpoint', () => {
+    const rootDir = path.join(tmpDir, 'replay');
+    let instance;
+
+    const record = async (captureDir, calls) => {
+      const recorder = new ReplayRecorder(path.join(rootDir, captureDir));
+      await recorder.open();
+      for (const call of calls) {
+        await recorder.record({
+          method: 'GET',
+          status: 200,
+          contentType: 'application/json',
+          ...call,
+          body: Buffer.from(call.body),
+        });
+      }
+      await recorder.write();
+    };
+
+    const replay = (captureDir, method, url, body) =>
+      fetch(
+        `${instance.baseUrl}/${captureDir}/__smippo/replay?method=${method}&url=${encodeURIComponent(url)}`,
+        body === undefined ? {} : {method: 'POST', body},
+      );
+
+    before(async () => {
+      await record('a.example', [
+        {url: 'https://a.example/api/items', body: '{"items":[1]}'},
+        {
+          method: 'POST',
+          url: 'https://a.example/api/search',
+          requestBody: '{"q":"shoes"}',
+          status: 201,
+          body: '{"hits":2}',
+        },
+        {
+          method: 'POST',
+          url: 'https://a.example/api/search',
+          requestBody: '{"q":"hats"}',
+          body: '{"hits":5}',
+        },
+      ]);
+      await record('b.example', [
+        {url: 'https://a.example/api/items', body: '{"items":["b"]}'},
+      ]);
+      instance = await startServer({directory: rootDir});
+    });
+
+    after(() => instance?.close());
+
+    it('should answer recorded calls and mark hits', async () => {
+      const response = await replay(
+        'a.example',
+        'GET',
+        'https://a.example/api/items',
+      );
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-smippo-replay'), 'hit');
+      assert.strictEqual(
+        response.headers.get('content-type'),
+        'application/json',
+      );
+      assert.strictEqual(await response.text(), '{"items":[1]}');
+    });
+
+    it('should answer misses with a 404', async () => {
+      const response = await replay(
+        'a.example',
+        'GET',
+        'https://a.example/api/other',
+      );
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(response.headers.get('x-smippo-replay'), 'miss');
+    });
+
+    it('should match POST bodies, then method and URL', async () => {
+      const url = 'https://a.example/api/search';
+
+      const hats = await replay('a.example', 'POST', url, '{"q":"hats"}');
+      assert.strictEqual(await hats.text(), '{"hits":5}');
+
+      const shoes = await replay('a.example', 'POST', url, '{"q":"shoes"}');
+      assert.strictEqual(shoes.status, 201);
+      assert.strictEqual(await shoes.text(), '{"hits":2}');
+
+      const other = await replay('a.example', 'POST', url, '{"q":"socks"}');
+      assert.strictEqual(other.headers.get('x-smippo-replay'), 'hit');
+    });
+
+    it('should not serve files under .smippo', async () => {
+      for (const file of [
+        'a.example/.smippo/replay/index.json',
+        'a.example/.SMIPPO/replay/index.json',
+        'a.example/.smippo/',
+      ]) {
+        const response = await fetch(`${instance.baseUrl}/${file}`);
+        assert.strictEqual(response.status, 403, file);
+      }
+    });
+
+    it('should keep one index per capture and reload it on change', async () => {
+      const url = 'https://a.example/api/items';
+      const indexPath = path.join(
+        rootDir,
+        'b.example',
+        '.smippo',
+        'replay',
+        'index.json',
+      );
+      const recorded = new Date('2025-01-01T00:00:00Z');
+      await fs.utimes(indexPath, recorded, recorded);
+
+      const b = await replay('b.example', 'GET', url);
+      assert.strictEqual(await b.text(), '{"items":["b"]}');
+
+      const a = await replay('a.example', 'GET', url);
+      assert.strictEqual(await a.text(), '{"items":[1]}');
+
+      // Served from the cache while the file keeps its modification time
+      await record('b.example', [
+        {url: 'https://a.example/api/new', body: '{"new":true}'},
+      ]);
+      await fs.utimes(indexPath, recorded, recorded);
+      const cached = await replay(
+        'b.example',
+        'GET',
+        'https://a.example/api/new',
+      );
+      assert.strictEqual(cached.status, 404);
+
+      // A re-capture rewrites the index with a new modification time
+      await fs.utimes(indexPath, new Date(), new Date());
+      const added = await replay(
+        'b.example',
+        'GET',
+        'https://a.example/api/new',
+      );
+      assert.strictEqual(await added.text(), '{"new":true}');
+    });
+  });
+
+  describe('HAR replay', () => {
+    const rootDir = path.join(tmpDir, 'har');
+    let instance;
+
+    const harEntry = (url, contentType, text, headers = []) => ({
+      startedDateTime: '2025-01-01T00:00:00.000Z',
+      request: {method: 'GET', url, headers: []},
+      response: {
+        status: 200,
+        statusText: 'OK',
+        headers: [{name: 'Content-Type', value: contentType}, ...headers],
+        content: {text},
+      },
+    });
+
+    before(async () => {
+      await fs.outputJson(path.join(rootDir, '.smippo', 'network.har'), {
+        log: {
+          entries: [
+            harEntry(
+              'https://example.com/docs/',
+              'text/html',
+              '<h1>Docs</h1>',
+              [
+                {name: 'Set-Cookie', value: 'session=1'},
+                {name: 'Content-Security-Policy', value: "default-src 'self'"},
+              ],
+            ),
+            harEntry(
+              'https://example.com/static/app.js',
+              'text/javascript',
+              'run()',
+            ),
+            harEntry(
+              'https://example.com/about',
+              'text/html',
+              '<h1>About</h1>',
+            ),
+          ],
+        },
+      });
+      instance = await startServer({directory: rootDir, replay: true});
+    });
+
+    after(() => instance?.close());
+
+    const referer = () =>
+      `${instance.baseUrl}/_replay/https://example.com/docs/`;
+
+    it('should replay pages without cookies or CSP', async () => {
+      const response = await request(
+        `${instance.baseUrl}/_replay/https://example.com/docs/`,
+      );
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body, '<h1>Docs</h1>');
+      assert.strictEqual(response.headers['set-cookie'], undefined);
+      assert.strictEqual(
+        response.headers['content-security-policy'],
+        undefined,
+      );
+    });
+
+    it('should answer subresources of a replayed page directly', async () => {
+      const response = await request(`${instance.baseUrl}/static/app.js`, {
+        headers: {Referer: referer(), Accept: '*/*'},
+      });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body, 'run()');
+    });
+
+    it('should redirect navigations into /_replay/', async () => {
+      for (const headers of [
+        {Accept: 'text/html,application/xhtml+xml'},
+        {'Sec-Fetch-Mode': 'navigate'},
+      ]) {
+        const response = await request(`${instance.baseUrl}/about`, {
+          headers: {Referer: referer(), ...headers},
+        });
+        assert.strictEqual(response.status, 302);
+        assert.strictEqual(
+          response.headers.location,
+          '/_replay/https://example.com/about',
+        );
+      }
+    });
+  });
+
+  describe('forward proxy', () => {
+    const rootDir = path.join(tmpDir, 'proxy');
+    let upstream;
+    let upstreamUrl;
+    const servers = [];
+
+    before(async () => {
+      const manifest = createManifest('https://example.com/', {});
+      manifest.pages.push({
+        url: 'https://example.com/',
+        localPath: 'example.com/index.html',
+      });
+      await writeManifest(rootDir, manifest);
+      await fs.outputFile(
+        path.join(rootDir, 'example.com', 'index.html'),
+        '<h1>Captured</h1>',
+      );
+
+      // Stands in for the live site
+      upstream = http.createServer((req, res) => {
+        res.writeHead(200, {'Content-Type': 'text/plain'});
+        res.end(`live ${req.url}`);
+      });
+      await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+      upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+    });
+
+    after(async () => {
+      await Promise.all(servers.map(instance => instance.close()));
+      upstream?.close();
+    });
+
+    async function startProxy(miss) {
+      const instance = await startServer({
+        directory: rootDir,
+        proxy: true,
+        proxyMiss: miss,
+      });
+      servers.push(instance);
+      return instance;
+    }
+
+    // Send a request in proxy form, with the absolute URL as its target
+    const viaProxy = (instance, url, headers = {}) =>
+      request(instance.baseUrl, {path: url, headers});
+
+    it('should serve captured URLs over http://', async () => {
+      const instance = await startProxy('404');
+      const response = await viaProxy(instance, 'http://example.com/');
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body, '<h1>Captured</h1>');
+      assert.ok(response.headers['content-type'].startsWith('text/html'));
+    });
+
+    it('should answer misses by policy', async () => {
+      const notFound = await startProxy('404');
+      const miss = await viaProxy(notFound, 'http://example.com/missing');
+      assert.strictEqual(miss.status, 404);
+      assert.strictEqual(miss.headers['x-smippo-proxy'], 'miss');
+
+      const placeholder = await startProxy('placeholder');
+      const image = await viaProxy(placeholder, 'http://example.com/a.png');
+      assert.strictEqual(image.status, 200);
+      assert.strictEqual(image.headers['content-type'], 'image/gif');
+
+      const passthrough = await startProxy('passthrough');
+      const live = await viaProxy(passthrough, `${upstreamUrl}/live?a=1`);
+      assert.strictEqual(live.status, 200);
+      assert.strictEqual(live.body, 'live /live?a=1');
+    });
+
+    it('should answer malformed URLs with a 400', async () => {
+      for (const miss of ['404', 'placeholder', 'passthrough']) {
+        const instance = await startProxy(miss);
+        const response = await viaProxy(instance, 'http://[bad/x');
+        assert.strictEqual(response.status, 400, miss);
+      }
+    });
+
+    it('should refuse HTTPS tunnels unless passing through', async () => {
+      const instance = await startProxy('404');
+      const status = await new Promise((resolve, reject) => {
+        http
+          .request(instance.baseUrl, {
+            method: 'CONNECT',
+            path: 'example.com:443',
+          })
+          .on('connect', res => {
+            res.socket.destroy();
+            resolve(res.statusCode);
+          })
+          .on('error', reject)
+          .end();
+      });
+      assert.strictEqual(status, 501);
+    });
+  });
+});
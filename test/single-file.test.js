@@ -0,0 +1,114 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, before, after} from 'mocha';
+import {inlineResources} from '../src/single-file.js';
+
+describe('Single file', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-single-'));
+  const siteDir = path.join(tmpDir, 'site');
+  const htmlPath = path.join(siteDir, 'index.html');
+  const png = Buffer.from('fake png');
+  const pngUri = `data:image/png;base64,${png.toString('base64')}`;
+
+  const inline = (html, options = {}) =>
+    inlineResources(html, htmlPath, {outputDir: siteDir, ...options});
+
+  const decodeCss = uri =>
+    Buffer.from(uri.replace('data:text/css;base64,', ''), 'base64').toString();
+
+  before(async () => {
+    await fs.outputFile(path.join(siteDir, 'img', 'a.png'), png);
+    await fs.outputFile(path.join(siteDir, 'img', 'big.png'), 'x'.repeat(100));
+    await fs.outputFile(
+      path.join(siteDir, 'css', 'main.css'),
+      'body { background: url("../img/a.png"); }',
+    );
+    await fs.outputFile(
+      path.join(siteDir, 'css', 'a.css'),
+      '@import "b.css";\n.a { background: url(../img/a.png); }',
+    );
+    await fs.outputFile(path.join(siteDir, 'css', 'b.css'), '@import "a.css";');
+    await fs.outputFile(path.join(tmpDir, 'secret.png'), 'secret');
+  });
+
+  after(() => fs.remove(tmpDir));
+
+  it('should inline images, srcset and style url()s as data URIs', async () => {
+    const html = await inline(
+      '<img src="img/a.png" srcset="img/a.png 1x, https://cdn.example.com/b.png 2x">' +
+        '<div style="background: url(\'img/a.png\')"></div>' +
+        '<style>p { background: url(img/a.png); }</style>',
+    );
+
+    assert.ok(html.includes(`src="${pngUri}"`));
+    assert.ok(
+      html.includes(`srcset="${pngUri} 1x, https://cdn.example.com/b.png 2x"`),
+    );
+    assert.ok(html.includes(`style="background: url(&quot;${pngUri}&quot;)"`));
+    assert.ok(html.includes(`p { background: url("${pngUri}"); }`));
+  });
+
+  it('should inline stylesheets with their url()s', async () => {
+    const html = await inline(
+      '<head><link rel="stylesheet" href="css/main.css" media="print"></head>',
+    );
+
+    assert.ok(!html.includes('<link'));
+    assert.ok(
+      html.includes(
+        `<style media="print">body { background: url("${pngUri}"); }</style>`,
+      ),
+    );
+  });
+
+  it('should keep files larger than maxInlineSize external', async () => {
+    const html = await inline('<img src="img/big.png"><img src="img/a.png">', {
+      maxInlineSize: 50,
+    });
+
+    assert.ok(html.includes('src="img/big.png"'));
+    assert.ok(html.includes(`src="${pngUri}"`));
+  });
+
+  it('should rebase stylesheet url()s to the page with cssOnly', async () => {
+    const html = await inline(
+      '<link rel="stylesheet" href="css/main.css"><img src="img/a.png">',
+      {cssOnly: true},
+    );
+
+    assert.ok(html.includes('body { background: url("./img/a.png"); }'));
+    // Only stylesheets are inlined
+    assert.ok(html.includes('<img src="img/a.png">'));
+  });
+
+  it('should inline @import chains and stop at import cycles', async () => {
+    const html = await inline('<link rel="stylesheet" href="css/a.css">');
+
+    // a.css -> b.css -> a.css -> ... until the depth limit
+    let css = html.match(/<style>([\s\S]*)<\/style>/)[1];
+    let depth = 0;
+    for (;;) {
+      const match = css.match(/@import url\("(data:text\/css;base64,[^"]+)"\)/);
+      if (!match) break;
+      css = decodeCss(match[1]);
+      depth++;
+    }
+
+    assert.strictEqual(depth, 5);
+    assert.ok(/@import "(a|b)\.css"/.test(css));
+    assert.ok(html.includes(`.a { background: url("${pngUri}"); }`));
+  });
+
+  it('should not read files outside the output directory', async () => {
+    const html = await inline(
+      '<img src="../secret.png"><img src="/../secret.png">' +
+        '<style>p { background: url(../secret.png); }</style>',
+    );
+
+    assert.ok(!html.includes('data:'));
+    assert.ok(html.includes('src="../secret.png"'));
+    assert.ok(html.includes('url(../secret.png)'));
+  });
+});
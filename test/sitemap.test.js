@@ -0,0 +1,45 @@
+import {describe, it} from 'mocha';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import {parseSitemap, loadSitemaps} from '../src/sitemap.js';
+
+const urlset = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/</loc><lastmod>2024-01-01</lastmod></url>
+  <url><loc>https://example.com/about</loc><priority>0.8</priority></url>
+</urlset>`;
+
+const index = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/pages.xml.gz</loc></sitemap>
+  <sitemap><loc>https://example.com/missing.xml</loc></sitemap>
+</sitemapindex>`;
+
+describe('Sitemap', () => {
+  it('should parse urlset entries', () => {
+    const sitemap = parseSitemap(urlset);
+    assert.strictEqual(sitemap.type, 'urlset');
+    assert.deepStrictEqual(sitemap.entries, [
+      {loc: 'https://example.com/', lastmod: '2024-01-01', priority: null},
+      {loc: 'https://example.com/about', lastmod: null, priority: 0.8},
+    ]);
+  });
+
+  it('should expand indexes and gzipped sitemaps', async () => {
+    const bodies = {
+      'https://example.com/sitemap.xml': Buffer.from(index),
+      'https://example.com/pages.xml.gz': zlib.gzipSync(urlset),
+    };
+
+    const {sitemaps, entries} = await loadSitemaps(
+      ['https://example.com/sitemap.xml'],
+      async url => bodies[url] || null,
+    );
+
+    assert.strictEqual(sitemaps.length, 3);
+    assert.deepStrictEqual(
+      entries.map(entry => entry.loc),
+      ['https://example.com/', 'https://example.com/about'],
+    );
+  });
+});
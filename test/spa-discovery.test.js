@@ -0,0 +1,83 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import http from 'node:http';
+import {describe, it, before, after} from 'mocha';
+import {chromium} from 'playwright';
+import {discoverSpaRoutes} from '../src/spa-discovery.js';
+
+const FIXTURE = `<!DOCTYPE html>
+<html>
+  <body>
+    <nav>
+      <span data-to="/pricing">Pricing</span>
+      <button onclick="history.pushState({}, '', '/about')">About</button>
+      <button onclick="history.pushState({}, '', '/team')">Team</button>
+      <button onclick="fetch('/account', {method: 'POST'})">Delete account</button>
+      <button onclick="location.hash = 'top'">Top</button>
+    </nav>
+  </body>
+</html>`;
+
+describe('SPA discovery', function () {
+  this.timeout(30000);
+
+  let server;
+  let browser;
+  let baseUrl;
+  const posts = [];
+
+  before(async function () {
+    // Needs a browser build, `npx playwright install chromium`
+    if (!fs.existsSync(chromium.executablePath())) this.skip();
+
+    server = http.createServer((req, res) => {
+      if (req.method === 'POST') posts.push(req.url);
+      res.setHeader('Content-Type', 'text/html');
+      res.end(FIXTURE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    browser = await chromium.launch();
+  });
+
+  after(async () => {
+    await browser?.close();
+    server?.close();
+  });
+
+  it('should record pushState routes and data-to targets', async () => {
+    const context = await browser.newContext();
+    const loads = [];
+    try {
+      const routes = await discoverSpaRoutes(context, `${baseUrl}/`, {
+        throttle: url => loads.push(url),
+      });
+
+      assert.deepStrictEqual(routes.sort(), [
+        `${baseUrl}/about`,
+        `${baseUrl}/pricing`,
+        `${baseUrl}/team`,
+      ]);
+      // The first load plus a reload after each route change
+      assert.strictEqual(loads.length, 3);
+      assert.deepStrictEqual(posts, []);
+    } finally {
+      await context.close();
+    }
+  });
+
+  it('should stop after maxClicks elements', async () => {
+    const context = await browser.newContext();
+    try {
+      const routes = await discoverSpaRoutes(context, `${baseUrl}/`, {
+        maxClicks: 2,
+      });
+      assert.deepStrictEqual(routes.sort(), [
+        `${baseUrl}/about`,
+        `${baseUrl}/pricing`,
+      ]);
+    } finally {
+      await context.close();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert';
+import {describe, it} from 'mocha';
+import {parseUrlList} from '../src/url-list.js';
+
+describe('URL list', () => {
+  it('should read one URL per line with optional depth', () => {
+    const seeds = parseUrlList(
+      '# landing pages\nhttps://a.example/ 2\n\nhttps://b.example/promo\n',
+    );
+
+    assert.deepStrictEqual(seeds, [
+      {url: 'https://a.example/', depth: 2},
+      {url: 'https://b.example/promo', depth: undefined},
+    ]);
+  });
+
+  it('should read CSV with a header row', () => {
+    const seeds = parseUrlList(
+      'name,url,depth\r\nHome,https://a.example/,1\r\n"Sale","https://b.example/sale",\r\n',
+    );
+
+    assert.deepStrictEqual(seeds, [
+      {url: 'https://a.example/', depth: 1},
+      {url: 'https://b.example/sale', depth: undefined},
+    ]);
+  });
+
+  it('should only read CSV with a header row or a .csv source', () => {
+    assert.deepStrictEqual(
+      parseUrlList('https://a.example/map?ll=1,2 3\nhttps://b.example/'),
+      [
+        {url: 'https://a.example/map?ll=1,2', depth: 3},
+        {url: 'https://b.example/', depth: undefined},
+      ],
+    );
+    assert.deepStrictEqual(
+      parseUrlList('https://a.example/,2\n', 'seeds.csv'),
+      [{url: 'https://a.example/', depth: 2}],
+    );
+  });
+
+  it('should report the line of invalid entries', () => {
+    assert.throws(
+      () => parseUrlList('https://a.example/\nexample.com\n', 'urls.txt'),
+      /line 2 of urls.txt/,
+    );
+    assert.throws(
+      () => parseUrlList('https://a.example/ deep'),
+      /Invalid depth on line 1/,
+    );
+  });
+});
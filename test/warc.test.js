@@ -0,0 +1,291 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'fs-extra';
+import {describe, it, before, after} from 'mocha';
+import zlib from 'node:zlib';
+import crypto from 'node:crypto';
+import {
+  WarcWriter,
+  toSurt,
+  buildCdxj,
+  createWacz,
+  exportWarc,
+  readWarcRecords,
+} from '../src/warc.js';
+import {Crawler} from '../src/crawler.js';
+import {getWarcPath} from '../src/manifest.js';
+
+describe('WARC', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smippo-warc-'));
+
+  after(() => fs.remove(tmpDir));
+
+  const readAll = async (file, gzip) => {
+    const records = [];
+    for await (const record of readWarcRecords(file, gzip)) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  describe('toSurt', () => {
+    it('should reverse the host and drop www', () => {
+      assert.strictEqual(
+        toSurt('https://www.example.com/docs/page?a=1'),
+        'com,example)/docs/page?a=1',
+      );
+    });
+
+    it('should keep non-default ports', () => {
+      assert.strictEqual(
+        toSurt('http://example.com:8080/'),
+        'com,example:8080)/',
+      );
+    });
+  });
+
+  describe('WarcWriter', () => {
+    it('should write warcinfo, response and request records', async () => {
+      const warcPath = path.join(tmpDir, 'test.warc');
+      const writer = new WarcWriter(warcPath);
+      await writer.open();
+      await writer.writeExchange({
+        url: 'https://example.com/',
+        status: 200,
+        statusText: 'OK',
+        headers: {'content-type': 'text/html', 'content-encoding': 'gzip'},
+        body: Buffer.from('<html></html>'),
+      });
+      await writer.close();
+
+      const content = await fs.readFile(warcPath, 'utf8');
+      const types = [...content.matchAll(/^WARC-Type: (\w+)/gm)].map(m => m[1]);
+
+      assert.deepStrictEqual(types, ['warcinfo', 'response', 'request']);
+      assert.ok(content.includes('HTTP/1.1 200 OK\r\n'));
+      assert.ok(content.includes('Content-Length: 13\r\n'));
+      // Body is stored decoded, so the wire encoding header is dropped
+      assert.ok(!content.includes('content-encoding'));
+    });
+
+    it('should index response records for CDXJ', async () => {
+      const writer = new WarcWriter(path.join(tmpDir, 'index.warc.gz'));
+      await writer.open();
+      await writer.writeExchange({
+        url: 'https://example.com/style.css',
+        status: 200,
+        headers: {'content-type': 'text/css; charset=utf-8'},
+        body: Buffer.from('body {}'),
+        date: '2025-01-02T03:04:05.000Z',
+      });
+      await writer.close();
+
+      const [line] = buildCdxj(writer.index, 'data.warc.gz').split('\n');
+      assert.ok(line.startsWith('com,example)/style.css 20250102030405 {'));
+      assert.strictEqual(
+        JSON.parse(line.split(' ').slice(2).join(' ')).mime,
+        'text/css',
+      );
+    });
+
+    it('should index earlier records when appending', async () => {
+      const warcPath = path.join(tmpDir, 'resume.warc.gz');
+
+      const first = new WarcWriter(warcPath);
+      await first.open();
+      const page = await first.writeExchange({
+        url: 'https://example.com/',
+        status: 200,
+        headers: {'content-type': 'text/html'},
+        body: Buffer.from('<html></html>'),
+        date: '2025-01-02T03:04:05.000Z',
+      });
+      await first.writeMetadata(
+        'https://example.com/',
+        {title: 'Home'},
+        page.id,
+      );
+      await first.close();
+
+      const resumed = new WarcWriter(warcPath);
+      await resumed.open({append: true});
+      await resumed.writeExchange({
+        url: 'https://example.com/about',
+        status: 404,
+        headers: {'content-type': 'text/html'},
+        body: Buffer.from('missing'),
+      });
+      await resumed.close();
+
+      assert.deepStrictEqual(
+        resumed.index.map(entry => [entry.url, entry.status]),
+        [
+          ['https://example.com/', 200],
+          ['https://example.com/about', 404],
+        ],
+      );
+      assert.deepStrictEqual(resumed.pages, [
+        {
+          url: 'https://example.com/',
+          title: 'Home',
+          ts: '2025-01-02T03:04:05.000Z',
+        },
+      ]);
+
+      // Offsets point at the gzip member of each response
+      const data = await fs.readFile(warcPath);
+      for (const {offset, length} of resumed.index) {
+        const record = zlib
+          .gunzipSync(data.subarray(offset, offset + length))
+          .toString();
+        assert.ok(record.includes('WARC-Type: response'));
+      }
+    });
+  });
+
+  describe('readWarcRecords', () => {
+    it('should read plain records', async () => {
+      const warcPath = path.join(tmpDir, 'plain.warc');
+      const writer = new WarcWriter(warcPath);
+      await writer.open();
+      await writer.writeExchange({
+        url: 'https://example.com/',
+        status: 200,
+        body: Buffer.from('hello'),
+      });
+      await writer.close();
+
+      const records = await readAll(warcPath, false);
+      assert.deepStrictEqual(
+        records.map(record => record.headers['warc-type']),
+        ['warcinfo', 'response', 'request'],
+      );
+      assert.strictEqual(records[1].offset, writer.index[0].offset);
+      assert.strictEqual(records[1].length, writer.index[0].length);
+    });
+  });
+
+  describe('createWacz', () => {
+    it('should store the WARC with its hash in the datapackage', async () => {
+      const writer = new WarcWriter(path.join(tmpDir, 'wacz.warc.gz'));
+      await writer.open();
+      await writer.writeExchange({
+        url: 'https://example.com/',
+        status: 200,
+        headers: {'content-type': 'text/html'},
+        body: Buffer.from('<html></html>'),
+      });
+      writer.addPage('https://example.com/', 'Home');
+      await writer.close();
+
+      const waczPath = await createWacz(writer, path.join(tmpDir, 'out.wacz'));
+      const wacz = await fs.readFile(waczPath);
+      const warc = await fs.readFile(writer.filePath);
+
+      // Entries are stored, so the WARC bytes appear as they are
+      assert.ok(wacz.includes(warc));
+      const text = wacz.toString('latin1');
+      const start = text.indexOf('{\n  "profile"');
+      const datapackage = JSON.parse(
+        text.slice(start, text.indexOf('\n}', start) + 2),
+      );
+      assert.deepStrictEqual(datapackage.resources[0], {
+        name: 'data.warc.gz',
+        path: 'archive/data.warc.gz',
+        hash: `sha256:${crypto.createHash('sha256').update(warc).digest('hex')}`,
+        bytes: warc.length,
+      });
+    });
+  });
+
+  describe('exportWarc', () => {
+    const captureDir = path.join(tmpDir, 'capture');
+
+    before(() =>
+      fs.outputJson(path.join(captureDir, '.smippo', 'network.har'), {
+        log: {
+          entries: [
+            {
+              startedDateTime: '2025-01-02T03:04:05.000Z',
+              request: {
+                method: 'GET',
+                url: 'https://example.com/',
+                headers: [],
+              },
+              response: {
+                status: 200,
+                statusText: 'OK',
+                headers: [{name: 'Content-Type', value: 'text/html'}],
+                content: {text: '<html></html>'},
+              },
+            },
+          ],
+        },
+      }),
+    );
+
+    const isGzip = async file => {
+      const data = await fs.readFile(file);
+      return data[0] === 0x1f && data[1] === 0x8b;
+    };
+
+    it('should drop .gz from the default path with --no-gzip', async () => {
+      const {warcPath} = await exportWarc(captureDir, {gzip: false});
+      assert.ok(warcPath.endsWith('archive.warc'));
+      assert.ok(!(await isGzip(warcPath)));
+    });
+
+    it('should compress according to the output extension', async () => {
+      const plain = await exportWarc(captureDir, {
+        output: path.join(tmpDir, 'out.warc'),
+      });
+      assert.ok(!(await isGzip(plain.warcPath)));
+
+      const gzipped = await exportWarc(captureDir, {
+        output: path.join(tmpDir, 'out.warc.gz'),
+      });
+      assert.ok(await isGzip(gzipped.warcPath));
+    });
+  });
+
+  describe('Crawler', () => {
+    const outputDir = path.join(tmpDir, 'site');
+
+    // Write a response record per page instead of loading it in a browser
+    async function crawl(url, options = {}) {
+      const crawler = new Crawler({
+        url,
+        output: outputDir,
+        depth: 0,
+        warc: true,
+        quiet: true,
+        ...options,
+      });
+      crawler._initBrowser = async () => {};
+      crawler._closeBrowser = async () => {};
+      crawler._runPage = pageUrl =>
+        crawler.warc.writeExchange({
+          url: pageUrl,
+          status: 200,
+          headers: {'content-type': 'text/html'},
+          body: Buffer.from('<html></html>'),
+        });
+      await crawler.start();
+    }
+
+    it('should keep earlier records when updating', async () => {
+      await crawl('https://example.com/');
+      await crawl('https://example.com/about', {update: true});
+
+      const records = await readAll(getWarcPath(outputDir), true);
+      const urls = records
+        .filter(record => record.headers['warc-type'] === 'response')
+        .map(record => record.headers['warc-target-uri']);
+      assert.deepStrictEqual(urls, [
+        'https://example.com/',
+        'https://example.com/about',
+      ]);
+    });
+  });
+});